@@ -2,62 +2,182 @@
  * Global Audio Manager
  * Coordinates multiple audio players, ensures only one plays at a time
  * Provides state for the transport bar
+ *
+ * Playback belongs to a "now playing" session; registered AudioPlayers are
+ * only views onto it, so pages can come and go without interrupting it.
  */
 
 class AudioManager {
     constructor() {
         this.players = {};          // Registered players by name
+        this.session = null;        // Now playing: {name, playlist, artist, year, href, artwork, gapless, crossfade}
         this.activePlayerName = null;
-        this.audio = new Audio();
+        this.audio = new Audio();   // Element playing the current track
+        this.standby = new Audio(); // Preloads the next track; the two swap roles
         this.currentPlaylist = [];
         this.currentIndex = 0;
         this.isPlaying = false;
-        this.waveformData = null;
+        this.waveforms = {};        // Waveform data by track src
+        this._mediaSessionTrack = null;
+        this.settingsKey = 'audioManager.settings';
+        this.volume = 1;
+        this.muted = false;
+        this.playbackRate = 1;
+        this.shuffle = false;
+        this.repeat = 'off';        // 'off' | 'one' | 'all'
+        this.shuffleOrder = [];     // Playlist indices in shuffled play order
+        this.queue = [];            // Up next: {id, track, index, name, artist, year, href, artwork}
+        this.queueEntry = null;     // Queue entry now playing, if any
+        this._queueId = 0;
+        this._gains = new Map();    // Element -> crossfade gain
+        this._preloadedTrack = null;
+        this._transitionTimer = null;
+        this._fade = null;          // {outgoing, timer} while crossfading
+        this.sessionKey = 'audioManager.session';
+        this.resumable = false;     // Restored from a previous visit, not played yet
+        this._pendingSeek = null;   // Position to apply once metadata loads
+        this._pendingProgress = null;   // Or a fraction of the duration
+        this._lastSessionSave = 0;
+        this.audioContext = null;   // Created by getAnalyser()
+        this.analyser = null;
 
         // Callbacks for UI updates (arrays to support multiple listeners)
         this._stateChangeListeners = [];
         this._timeUpdateListeners = [];
         this._playlistChangeListeners = [];
+        this._queueChangeListeners = [];
 
         // Legacy callbacks for transport bar
         this.onStateChange = () => {};
         this.onTimeUpdate = () => {};
         this.onPlaylistChange = () => {};
 
+        this.loadSettings();
         this.bindAudioEvents();
+        this.bindMediaSession();
+
+        window.addEventListener('pagehide', () => this.saveSession());
+    }
+
+    /**
+     * Restore volume, mute, playback rate, shuffle and repeat from the last visit
+     */
+    loadSettings() {
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem(this.settingsKey)) || {};
+        } catch (e) {
+            // Storage unavailable (private mode) or corrupt: use defaults
+        }
+
+        if (typeof settings.volume === 'number') this.volume = this.clamp(settings.volume, 0, 1);
+        if (typeof settings.muted === 'boolean') this.muted = settings.muted;
+        if (typeof settings.playbackRate === 'number') this.playbackRate = this.clamp(settings.playbackRate, 0.25, 4);
+        if (typeof settings.shuffle === 'boolean') this.shuffle = settings.shuffle;
+        if (AudioManager.REPEAT_MODES.includes(settings.repeat)) this.repeat = settings.repeat;
+        this.applySettings();
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.settingsKey, JSON.stringify({
+                volume: this.volume,
+                muted: this.muted,
+                playbackRate: this.playbackRate,
+                shuffle: this.shuffle,
+                repeat: this.repeat
+            }));
+        } catch (e) {
+            // Not persisted, but still applied for this visit
+        }
+    }
+
+    /**
+     * Push volume, mute and rate to both elements, scaled by any crossfade
+     */
+    applySettings() {
+        [this.audio, this.standby].forEach(el => {
+            el.volume = this.volume * (this._gains.get(el) ?? 1);
+            el.muted = this.muted;
+            // defaultPlaybackRate survives src changes
+            el.defaultPlaybackRate = el.playbackRate = this.playbackRate;
+        });
+    }
+
+    settingsChanged() {
+        this.applySettings();
+        this.saveSettings();
+        this.notifyStateChange();
+    }
+
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
     }
 
     bindAudioEvents() {
-        this.audio.addEventListener('timeupdate', () => {
+        this.bindElementEvents(this.audio);
+        this.bindElementEvents(this.standby);
+    }
+
+    /**
+     * Only the element currently in the this.audio role reports; events from
+     * the one preloading or fading out are ignored
+     */
+    bindElementEvents(el) {
+        const on = (type, handler) => el.addEventListener(type, (e) => {
+            if (el === this.audio) handler(e);
+        });
+
+        on('timeupdate', () => {
             const time = {
                 currentTime: this.audio.currentTime,
                 duration: this.audio.duration || 0
             };
             this.onTimeUpdate(time);
             this._notifyTimeListeners(time);
+            this.updatePositionState();
+            this.scheduleTransition();
+
+            if (Date.now() - this._lastSessionSave > 5000) this.saveSession();
         });
 
-        this.audio.addEventListener('ended', () => {
-            this.next();
+        on('ended', () => {
+            if (this.repeat === 'one') {
+                this.audio.currentTime = 0;
+                this.play();
+            } else {
+                this.next();
+            }
         });
 
-        this.audio.addEventListener('play', () => {
+        on('play', () => {
+            this.resumable = false;
             this.isPlaying = true;
+            if (el.preload === 'none') {
+                el.preload = 'auto';
+                this.preloadNext();
+            }
             this.notifyStateChange();
         });
 
-        this.audio.addEventListener('pause', () => {
+        on('pause', () => {
+            this.cancelTransition();
+            this.saveSession();
             this.isPlaying = false;
             this.notifyStateChange();
         });
 
-        this.audio.addEventListener('error', (e) => {
+        // Re-plan the transition from the new position
+        on('seeking', () => this.cancelTransition());
+
+        on('error', () => {
             console.error('Audio error:', this.audio.error);
             this.isPlaying = false;
             this.notifyStateChange();
         });
 
-        this.audio.addEventListener('loadedmetadata', () => {
+        on('loadedmetadata', () => {
+            this.applyPendingSeek();
             this.notifyStateChange();
             this.onTimeUpdate({
                 currentTime: this.audio.currentTime,
@@ -66,105 +186,160 @@ class AudioManager {
         });
     }
 
+    /**
+     * Route lock screen and hardware media key actions to the transport
+     * methods
+     */
+    bindMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => this.play(),
+            pause: () => this.pause(),
+            previoustrack: () => this.previous(),
+            nexttrack: () => this.next(),
+            seekto: (details) => {
+                if (!this.audio.duration) return;
+                if (details.fastSeek && 'fastSeek' in this.audio) {
+                    this.audio.fastSeek(details.seekTime);
+                } else {
+                    this.audio.currentTime = details.seekTime;
+                }
+                this.updatePositionState();
+            }
+        };
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Action not supported by this browser
+            }
+        });
+    }
+
+    /**
+     * Publish the current track and playback state to the Media Session
+     * Metadata is only rebuilt when the track changes
+     */
+    updateMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const track = this.getCurrentTrack();
+        navigator.mediaSession.playbackState = track ? (this.isPlaying ? 'playing' : 'paused') : 'none';
+
+        if (track === this._mediaSessionTrack) return;
+        this._mediaSessionTrack = track;
+
+        if (!track || !this.getCurrentSource() || typeof MediaMetadata === 'undefined') {
+            navigator.mediaSession.metadata = null;
+            return;
+        }
+
+        const info = this.getTrackInfo();
+        const artwork = info.artwork;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.title,
+            artist: info.artist || info.album,
+            album: info.album,
+            artwork: artwork ? [{ src: new URL(artwork, window.location.href).href }] : []
+        });
+    }
+
+    /**
+     * Keep the lock screen scrubber in sync with the audio element
+     */
+    updatePositionState() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+
+        const duration = this.audio.duration;
+        if (!duration || !isFinite(duration)) return;
+
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: this.audio.playbackRate,
+                position: Math.min(this.audio.currentTime, duration)
+            });
+        } catch (error) {
+            // Ignore invalid states while a new source is loading
+        }
+    }
+
     /**
      * Register a player with its playlist
      * @param {string} name - Unique identifier for this player
      * @param {Array} playlist - Array of {title, src} objects
-     * @param {Object} options - Optional settings including artist, year
+     * @param {Object} options - Optional settings including artist, year, href, artwork
      */
     register(name, playlist, options = {}) {
-        // Preserve existing waveforms if player already registered
-        const existingWaveforms = this.players[name]?.waveforms || {};
         this.players[name] = {
             name,
             playlist,
             options,
             artist: options.artist || null,
             year: options.year || null,
-            waveforms: existingWaveforms
+            href: options.href || null,
+            artwork: options.artwork || null,
+            gapless: !!options.gapless,
+            crossfade: options.crossfade || 0,
+            hidden: !!options.hidden    // Left out of getPlaylists() unless it is the session
         };
         this.onPlaylistChange(this.getPlaylists());
     }
 
     /**
      * Unregister a player (e.g., when navigating away)
+     * The now playing session is unaffected
      */
     unregister(name) {
-        // If this was the active player, stop playback
-        if (this.activePlayerName === name) {
-            this.pause();
-            this.activePlayerName = null;
-            this.currentPlaylist = [];
-        }
         delete this.players[name];
         this.onPlaylistChange(this.getPlaylists());
     }
 
     /**
-     * Clear all players (called on navigation)
+     * Start a new now playing session from a registered player. The session
+     * snapshots the playlist, so it outlives the page that registered it.
      */
-    clearPlayers() {
-        // Don't stop playback, just clear registrations
-        // This allows audio to continue if same playlist exists on new page
-        const wasActive = this.activePlayerName;
-        const wasPlaying = this.isPlaying;
-        const currentSrc = this.audio.src;
-        const currentTime = this.audio.currentTime;
-
-        // Destroy player instances to clean up listeners
-        Object.values(this.players).forEach(player => {
-            if (player.options?.player?.destroy) {
-                player.options.player.destroy();
-            }
-        });
-
-        this.players = {};
+    startSession(name) {
+        const player = this.players[name];
+        if (!player) return false;
 
-        // Store state for potential reconnection
-        this._pendingReconnect = {
-            playerName: wasActive,
-            src: currentSrc,
-            time: currentTime,
-            playing: wasPlaying
+        this.session = {
+            name: player.name,
+            playlist: player.playlist.slice(),
+            artist: player.artist,
+            year: player.year,
+            href: player.href,
+            artwork: player.artwork,
+            gapless: player.gapless,
+            crossfade: player.crossfade
         };
-
-        // Notify transport bar that playlists changed
-        this.onPlaylistChange(this.getPlaylists());
+        this.activePlayerName = name;
+        this.currentPlaylist = this.session.playlist;
+        return true;
     }
 
     /**
-     * Try to reconnect to a player after navigation
+     * Get the now playing session including its current position
      */
-    tryReconnect(name) {
-        if (!this._pendingReconnect) return false;
-        if (this._pendingReconnect.playerName !== name) return false;
-
-        const player = this.players[name];
-        if (!player) return false;
-
-        // Check if any track in the playlist matches
-        const matchIndex = player.playlist.findIndex(
-            track => this._pendingReconnect.src.includes(track.src)
-        );
-
-        if (matchIndex >= 0) {
-            this.activePlayerName = name;
-            this.currentPlaylist = player.playlist;
-            this.currentIndex = matchIndex;
-            this._pendingReconnect = null;
-            this.notifyStateChange();
-            return true;
-        }
-
-        this._pendingReconnect = null;
-        return false;
+    getSession() {
+        if (!this.session) return null;
+        return {
+            ...this.session,
+            index: this.currentIndex,
+            position: this.audio.currentTime,
+            isPlaying: this.isPlaying
+        };
     }
 
     /**
-     * Get list of all registered playlists
+     * Get list of all registered playlists. Hidden ones are listed only
+     * while they are the now playing session.
      */
     getPlaylists() {
-        return Object.keys(this.players).map(name => ({
+        const listed = name => !this.players[name].hidden || name === this.session?.name;
+        return Object.keys(this.players).filter(listed).map(name => ({
             name,
             trackCount: this.players[name].playlist.length,
             isActive: name === this.activePlayerName
@@ -175,45 +350,436 @@ class AudioManager {
      * Switch to a different playlist
      */
     setActivePlaylist(name) {
-        const player = this.players[name];
-        if (!player) return;
+        if (!this.startSession(name)) return;
 
-        this.activePlayerName = name;
-        this.currentPlaylist = player.playlist;
+        this.shuffleOrder = this.createShuffleOrder(0);
         this.loadTrack(0);
         this.notifyStateChange();
     }
 
     /**
      * Start playing a specific player's playlist
+     * options: { position } in seconds or { progress } from 0 to 1
      */
-    playPlaylist(name, startIndex = 0) {
-        const player = this.players[name];
-        if (!player) return;
+    playPlaylist(name, startIndex = 0, options = {}) {
+        // Already the session: keep its shuffle order
+        if (this.session && name === this.session.name) {
+            this.playTrack(startIndex, options);
+            return;
+        }
+        if (!this.startSession(name)) return;
 
-        this.activePlayerName = name;
-        this.currentPlaylist = player.playlist;
-        this.loadTrack(startIndex);
+        this.shuffleOrder = this.createShuffleOrder(startIndex);
+        this.loadTrack(startIndex, options);
         this.play();
     }
 
-    loadTrack(index) {
+    /**
+     * Load a playlist's track paused at a position, e.g. from a deep link
+     */
+    cuePlaylist(name, index = 0, position = 0) {
+        if (!this.players[name]?.playlist[index]) return;
+
+        this.pause();
+        this.startSession(name);
+        this.shuffleOrder = this.createShuffleOrder(index);
+        this.loadTrack(index, { position });
+    }
+
+    /**
+     * Jump to a track in the now playing session. Works after the page that
+     * registered the playlist has gone, and keeps the shuffle order.
+     */
+    playTrack(index, options = {}) {
+        if (!this.session || !this.currentPlaylist[index]) return;
+
+        this.loadTrack(index, options);
+        this.play();
+    }
+
+    /**
+     * Load a track from the session playlist
+     * options.position or options.progress seeks once metadata has loaded
+     */
+    loadTrack(index, options = {}) {
         if (index < 0 || index >= this.currentPlaylist.length) return;
 
-        this.currentIndex = index;
-        const track = this.currentPlaylist[index];
-        this.audio.src = track.src;
+        this.setCurrent({ index });
+        this.loadSource(this.currentPlaylist[index], options);
+    }
+
+    /**
+     * Load a queued track, taking it off the queue
+     */
+    loadQueueEntry(entry) {
+        this.setCurrent({ entry });
+        this.loadSource(entry.track);
+    }
+
+    /**
+     * Make a session index or queue entry the current track
+     */
+    setCurrent({ index, entry }) {
+        if (entry) {
+            this.queueEntry = entry;
+            if (this.queue.includes(entry)) {
+                this.queue = this.queue.filter(e => e !== entry);
+                this._notifyQueueListeners();
+            }
+        } else {
+            this.queueEntry = null;
+            this.currentIndex = index;
+        }
+    }
+
+    /**
+     * Point playback at a track, reusing the standby element if it is
+     * already buffered there. position (seconds) or progress (0-1) seeks
+     * once metadata has loaded. preload 'none' fetches nothing, not even the
+     * next track, until playback starts.
+     */
+    loadSource(track, { position = null, progress = null, preload = 'auto' } = {}) {
+        this.cancelTransition();
+        this.finishFade();
+
+        this._pendingSeek = position > 0 ? position : null;
+        this._pendingProgress = progress > 0 ? progress : null;
+        this.resumable = false;
+
+        if (track === this._preloadedTrack) {
+            // Already buffered on the standby element: swap roles. Its
+            // metadata has usually loaded already, so seek straight away.
+            this.swapElements();
+            this.standby.pause();
+            // That pause came from the element no longer listened to
+            this.isPlaying = !this.audio.paused;
+            if (this.audio.readyState >= HTMLMediaElement.HAVE_METADATA) this.applyPendingSeek();
+        } else {
+            this.audio.preload = preload;
+            this.audio.src = track.src;
+        }
+
+        this.notifyStateChange();
+        this.preloadNext();
+        this.saveSession();
+    }
+
+    /**
+     * Apply a position requested before the track's metadata had loaded
+     */
+    applyPendingSeek() {
+        if (this._pendingSeek !== null) {
+            this.audio.currentTime = Math.min(this._pendingSeek, this.audio.duration || Infinity);
+        } else if (this._pendingProgress !== null && this.audio.duration) {
+            this.audio.currentTime = this._pendingProgress * this.audio.duration;
+        }
+        this._pendingSeek = null;
+        this._pendingProgress = null;
+    }
+
+    /**
+     * Remember the session's track and position for the next visit
+     * Queued tracks aren't saved; the session's own position is kept.
+     */
+    saveSession() {
+        if (!this.session || this.queueEntry || this._pendingSeek !== null || this._pendingProgress !== null) return;
+
+        this._lastSessionSave = Date.now();
+        try {
+            localStorage.setItem(this.sessionKey, JSON.stringify({
+                session: this.session,
+                index: this.currentIndex,
+                position: this.audio.currentTime || 0
+            }));
+        } catch (e) {
+            // Storage unavailable: nothing to resume next time
+        }
+    }
+
+    /**
+     * Load the last visit's session, paused at its saved position, so the
+     * UI can offer to resume it (playing needs a user gesture anyway).
+     * Nothing is downloaded until the visitor resumes.
+     * Tracks no longer in knownSrcs are dropped; if the saved track itself
+     * is gone the saved session is discarded.
+     * @param {Array<string>} knownSrcs - src of every track that still exists
+     * @returns {boolean} Whether a session was restored
+     */
+    restoreSession(knownSrcs) {
+        // Something was already started on this visit
+        if (this.session) return false;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.sessionKey));
+        } catch (e) {
+            // Corrupt entry: discarded below
+        }
+
+        const known = new Set(knownSrcs.map(src => decodeURIComponent(src)));
+        const savedPlaylist = saved?.session?.playlist;
+        const current = Array.isArray(savedPlaylist) ? savedPlaylist[saved.index] : null;
+        const playlist = Array.isArray(savedPlaylist)
+            ? savedPlaylist.filter(track => track && known.has(decodeURIComponent(track.src)))
+            : [];
+        const index = playlist.indexOf(current);
+
+        if (index < 0) {
+            try {
+                localStorage.removeItem(this.sessionKey);
+            } catch (e) {
+                // Nothing to clean up
+            }
+            return false;
+        }
+
+        this.session = { ...saved.session, playlist };
+        this.activePlayerName = this.session.name;
+        this.currentPlaylist = playlist;
+        this.shuffleOrder = this.createShuffleOrder(index);
+        this.setCurrent({ index });
+        // Nothing is downloaded unless the visitor resumes
+        this.loadSource(playlist[index], { position: saved.position, preload: 'none' });
+
+        this.resumable = true;
+        this.notifyStateChange();
+        return true;
+    }
+
+    /**
+     * Transition out of the current track: crossfade seconds, 0 for gapless,
+     * or null to just swap sources on 'ended'. Tracks may carry their own
+     * (the master playlist's keep their release's); otherwise the session's
+     * apply.
+     */
+    getCrossfade() {
+        if (!this.session) return null;
+        const track = this.getCurrentTrack() || {};
+        const pick = (key) => track[key] !== undefined ? track[key] : this.session[key];
+        if (pick('crossfade') > 0) return pick('crossfade');
+        return pick('gapless') ? 0 : null;
+    }
+
+    /**
+     * Indices in play order: shuffled, or the playlist as listed
+     */
+    getPlayOrder() {
+        if (this.shuffle && this.shuffleOrder.length === this.currentPlaylist.length) {
+            return this.shuffleOrder;
+        }
+        return this.currentPlaylist.map((track, i) => i);
+    }
+
+    /**
+     * What plays after the current track: the head of the queue, else the
+     * next session track. Returns {track, entry} or {track, index}, or null
+     * at the end of the playlist. Automatic advances honour repeat one.
+     */
+    getUpcoming(auto = false) {
+        if (auto && this.repeat === 'one') {
+            const track = this.getCurrentTrack();
+            return track ? { track, entry: this.queueEntry, index: this.currentIndex } : null;
+        }
+        if (this.queue.length) {
+            return { track: this.queue[0].track, entry: this.queue[0] };
+        }
+        const index = this.getNextIndex();
+        return index >= 0 ? { track: this.currentPlaylist[index], index } : null;
+    }
+
+    /**
+     * Index of the session track after the current one, or -1 at the end
+     */
+    getNextIndex() {
+        if (this.currentPlaylist.length === 0) return -1;
+
+        const order = this.getPlayOrder();
+        const position = order.indexOf(this.currentIndex) + 1;
+        if (position < order.length) return order[position];
+        return this.repeat === 'all' ? order[0] : -1;
+    }
+
+    getPreviousIndex() {
+        const order = this.getPlayOrder();
+        const position = order.indexOf(this.currentIndex) - 1;
+        if (position >= 0) return order[position];
+        return this.repeat === 'all' && order.length ? order[order.length - 1] : -1;
+    }
+
+    /**
+     * Shuffle the session's tracks, keeping the starting track first. The
+     * order stays fixed until the next session (or shuffle is turned on
+     * again), so next() and previous() walk the same sequence.
+     */
+    createShuffleOrder(firstIndex) {
+        const rest = this.currentPlaylist.map((track, i) => i).filter(i => i !== firstIndex);
+        for (let i = rest.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [rest[i], rest[j]] = [rest[j], rest[i]];
+        }
+        return this.currentPlaylist.length ? [firstIndex, ...rest] : [];
+    }
+
+    setShuffle(shuffle) {
+        this.shuffle = !!shuffle;
+        if (this.shuffle) this.shuffleOrder = this.createShuffleOrder(this.currentIndex);
+        this.playOrderChanged();
+    }
+
+    toggleShuffle() {
+        this.setShuffle(!this.shuffle);
+    }
+
+    setRepeat(mode) {
+        if (!AudioManager.REPEAT_MODES.includes(mode)) return;
+        this.repeat = mode;
+        this.playOrderChanged();
+    }
+
+    /**
+     * Step through off -> all -> one
+     */
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.setRepeat(modes[(modes.indexOf(this.repeat) + 1) % modes.length]);
+    }
+
+    /**
+     * The upcoming track may have changed: re-plan the transition
+     */
+    playOrderChanged() {
+        this.cancelTransition();
+        this.preloadNext();
+        this.saveSettings();
         this.notifyStateChange();
     }
 
+    swapElements() {
+        const previous = this.audio;
+        this.audio = this.standby;
+        this.standby = previous;
+        this._preloadedTrack = null;
+        this.audio.currentTime = 0;
+    }
+
+    /**
+     * Buffer the next track on the standby element, for gapless and
+     * crossfading sessions. It takes over as the current track ends (or
+     * fades out) instead of waiting for 'ended' to swap sources.
+     */
+    preloadNext() {
+        if (this.audio.preload === 'none') return;   // Current track not started yet
+
+        const upcoming = this.getCrossfade() !== null ? this.getUpcoming(true) : null;
+        const track = upcoming ? upcoming.track : null;
+        if (!track || track === this._preloadedTrack) return;
+
+        this._preloadedTrack = track;
+        this.standby.preload = 'auto';
+        this.standby.src = track.src;
+    }
+
+    /**
+     * timeupdate only fires every ~250ms, so once the handover point is
+     * close, schedule it on a timer instead of waiting for the next update
+     */
+    scheduleTransition() {
+        const crossfade = this.getCrossfade();
+        if (crossfade === null || this._transitionTimer || this._fade || !this.isPlaying) return;
+
+        const upcoming = this.getUpcoming(true);
+        if (!upcoming || upcoming.track !== this._preloadedTrack) return;
+
+        const duration = this.audio.duration;
+        if (!duration || !isFinite(duration)) return;
+
+        // Never fade for longer than half the track
+        const fade = Math.min(crossfade, duration / 2);
+        const remaining = (duration - this.audio.currentTime) / this.audio.playbackRate;
+        const lead = remaining - fade;
+        if (lead > 0.5) return;
+
+        this._transitionTimer = setTimeout(() => {
+            this._transitionTimer = null;
+            this.advance(upcoming, fade);
+        }, Math.max(0, lead * 1000));
+    }
+
+    cancelTransition() {
+        clearTimeout(this._transitionTimer);
+        this._transitionTimer = null;
+    }
+
+    /**
+     * Start the preloaded next track, cutting straight over (gapless) or
+     * fading the current one out over `fade` seconds
+     */
+    advance(upcoming, fade) {
+        const outgoing = this.audio;
+        this.swapElements();
+        this.setCurrent(upcoming);
+
+        if (fade > 0) {
+            this.startFade(outgoing, fade);
+        } else {
+            outgoing.pause();
+        }
+
+        this.play();
+        this.notifyStateChange();
+        if (!this._fade) this.preloadNext();
+    }
+
+    /**
+     * Equal-power crossfade. Runs on a timer rather than animation frames
+     * so it still completes in a background tab.
+     */
+    startFade(outgoing, seconds) {
+        const start = Date.now();
+        const step = () => {
+            const progress = Math.min(1, (Date.now() - start) / (seconds * 1000));
+            this._gains.set(this.audio, Math.sin(progress * Math.PI / 2));
+            this._gains.set(outgoing, Math.cos(progress * Math.PI / 2));
+            this.applySettings();
+            if (progress >= 1) this.finishFade();
+        };
+
+        this._fade = { outgoing, timer: setInterval(step, 50) };
+        step();
+    }
+
+    /**
+     * Stop the outgoing track and restore full gain
+     */
+    finishFade() {
+        if (!this._fade) return;
+
+        clearInterval(this._fade.timer);
+        this._fade.outgoing.pause();
+        this._fade = null;
+        this._gains.clear();
+        this.applySettings();
+        this.preloadNext();
+    }
+
     play() {
-        if (this.currentPlaylist.length === 0) return;
+        if (!this.getCurrentTrack()) {
+            // Nothing loaded yet: start on the queue
+            if (this.queue.length === 0) return;
+            this.loadQueueEntry(this.queue[0]);
+        }
 
         // Pause any playing videos
         if (window.videoManager) {
             window.videoManager.pauseAll();
         }
 
+        // A routed element is silent until its AudioContext is running,
+        // and contexts start suspended outside a user gesture
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
         const playPromise = this.audio.play();
         if (playPromise !== undefined) {
             playPromise.catch(error => {
@@ -225,6 +791,7 @@ class AudioManager {
     }
 
     pause() {
+        this.finishFade();
         this.audio.pause();
     }
 
@@ -237,12 +804,17 @@ class AudioManager {
     }
 
     next() {
-        if (this.currentIndex < this.currentPlaylist.length - 1) {
-            this.loadTrack(this.currentIndex + 1);
+        const upcoming = this.getUpcoming();
+        if (upcoming) {
+            if (upcoming.entry) {
+                this.loadQueueEntry(upcoming.entry);
+            } else {
+                this.loadTrack(upcoming.index);
+            }
             this.play();
         } else {
-            // Loop to beginning but don't auto-play
-            this.loadTrack(0);
+            // End of the playlist with repeat off: back to the start, paused
+            this.loadTrack(this.getPlayOrder()[0] || 0);
             this.pause();
         }
     }
@@ -251,9 +823,16 @@ class AudioManager {
         // If more than 3 seconds in, restart current track
         if (this.audio.currentTime > 3) {
             this.audio.currentTime = 0;
-        } else if (this.currentIndex > 0) {
-            this.loadTrack(this.currentIndex - 1);
-            if (this.isPlaying) this.play();
+            return;
+        }
+
+        // From a queued track, back to where the session left off
+        const index = this.queueEntry ? this.currentIndex : this.getPreviousIndex();
+        if (index >= 0 && index < this.currentPlaylist.length) {
+            // Loading can swap in the paused standby element
+            const wasPlaying = this.isPlaying;
+            this.loadTrack(index);
+            if (wasPlaying) this.play();
         }
     }
 
@@ -263,23 +842,182 @@ class AudioManager {
         }
     }
 
+    /**
+     * Skip forwards or backwards within the current track
+     */
+    seekBy(seconds) {
+        if (!this.audio.duration) return;
+        this.audio.currentTime = Math.max(0, Math.min(this.audio.duration, this.audio.currentTime + seconds));
+    }
+
+    /**
+     * Set volume from 0 to 1; raising it above zero unmutes
+     */
+    setVolume(volume) {
+        this.volume = this.clamp(volume, 0, 1);
+        if (this.volume > 0) this.muted = false;
+        this.settingsChanged();
+    }
+
+    setMuted(muted) {
+        this.muted = !!muted;
+        this.settingsChanged();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = this.clamp(rate, 0.25, 4);
+        this.settingsChanged();
+        this.updatePositionState();
+    }
+
     getCurrentTrack() {
+        if (this.queueEntry) return this.queueEntry.track;
         if (this.currentPlaylist.length === 0) return null;
         return this.currentPlaylist[this.currentIndex];
     }
 
+    /**
+     * Metadata for what is playing: the queue entry, else the session
+     */
+    getCurrentSource() {
+        return this.queueEntry || this.session;
+    }
+
+    /**
+     * Artist, album, year, href and artwork for the current track. Tracks
+     * may carry their own (the label-wide master playlist does); otherwise
+     * the playlist's apply.
+     */
+    getTrackInfo() {
+        const track = this.getCurrentTrack() || {};
+        const source = this.getCurrentSource() || {};
+        const pick = (key) => track[key] !== undefined ? track[key] : (source[key] ?? null);
+        return {
+            artist: pick('artist'),
+            album: track.album || source.name || null,
+            year: pick('year'),
+            href: pick('href'),
+            artwork: pick('artwork')
+        };
+    }
+
+    /**
+     * Name of the playlist the current track belongs to
+     */
+    getCurrentPlaylistName() {
+        return this.queueEntry ? this.queueEntry.name : this.activePlayerName;
+    }
+
+    /**
+     * Queue a registered player's track. Queued tracks play ahead of the
+     * session's next track, and once the queue is empty the session carries
+     * on where it left off. Entries copy the player's metadata so they
+     * outlive the page that registered it.
+     * @returns {Object|null} The queue entry
+     */
+    enqueue(name, index, { next = false } = {}) {
+        const player = this.players[name];
+        const track = player?.playlist[index];
+        if (!track) return null;
+
+        const entry = {
+            id: ++this._queueId,
+            track,
+            index,
+            name: player.name,
+            artist: player.artist,
+            year: player.year,
+            href: player.href,
+            artwork: player.artwork
+        };
+
+        if (next) {
+            this.queue.unshift(entry);
+        } else {
+            this.queue.push(entry);
+        }
+        this.queueChanged();
+        return entry;
+    }
+
+    /**
+     * Queue a track to play straight after the current one
+     */
+    playNext(name, index) {
+        return this.enqueue(name, index, { next: true });
+    }
+
+    removeFromQueue(id) {
+        const length = this.queue.length;
+        this.queue = this.queue.filter(entry => entry.id !== id);
+        if (this.queue.length !== length) this.queueChanged();
+    }
+
+    moveInQueue(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !this.queue[fromIndex] || toIndex < 0 || toIndex >= this.queue.length) return;
+
+        const [entry] = this.queue.splice(fromIndex, 1);
+        this.queue.splice(toIndex, 0, entry);
+        this.queueChanged();
+    }
+
+    clearQueue() {
+        if (this.queue.length === 0) return;
+        this.queue = [];
+        this.queueChanged();
+    }
+
+    /**
+     * Jump straight to a queued track
+     */
+    playFromQueue(id) {
+        const entry = this.queue.find(e => e.id === id);
+        if (!entry) return;
+        this.loadQueueEntry(entry);
+        this.play();
+    }
+
+    getQueue() {
+        return this.queue.slice();
+    }
+
+    /**
+     * The upcoming track may have changed: re-plan the transition
+     */
+    queueChanged() {
+        this.cancelTransition();
+        this.preloadNext();
+        this._notifyQueueListeners();
+        this.notifyStateChange();
+    }
+
     getState() {
-        const player = this.activePlayerName ? this.players[this.activePlayerName] : null;
+        const info = this.getTrackInfo();
         return {
             isPlaying: this.isPlaying,
             currentTrack: this.getCurrentTrack(),
-            currentIndex: this.currentIndex,
-            playlistName: this.activePlayerName,
+            // Index within the current track's own playlist
+            currentIndex: this.queueEntry ? this.queueEntry.index : this.currentIndex,
+            playlistName: this.getCurrentPlaylistName(),
             playlistLength: this.currentPlaylist.length,
             currentTime: this.audio.currentTime,
             duration: this.audio.duration || 0,
-            artist: player?.artist || null,
-            year: player?.year || null
+            volume: this.volume,
+            muted: this.muted,
+            playbackRate: this.playbackRate,
+            shuffle: this.shuffle,
+            repeat: this.repeat,
+            fromQueue: !!this.queueEntry,
+            resumable: this.resumable,
+            resumePosition: this.resumable ? (this._pendingSeek ?? this.audio.currentTime) : null,
+            queueLength: this.queue.length,
+            artist: info.artist,
+            album: info.album,
+            year: info.year
         };
     }
 
@@ -287,45 +1025,50 @@ class AudioManager {
         const state = this.getState();
         this.onStateChange(state);
         this._notifyStateListeners(state);
+        this.updateMediaSession();
     }
 
     /**
      * Store waveform data for a track
+     * Keyed by src so it outlives the player that loaded it
      */
     setWaveform(playerName, trackIndex, data) {
-        if (this.players[playerName]) {
-            this.players[playerName].waveforms[trackIndex] = data;
-        }
+        const track = this.players[playerName]?.playlist[trackIndex];
+        if (track) this.setWaveformBySrc(track.src, data);
+    }
+
+    setWaveformBySrc(src, data) {
+        this.waveforms[decodeURIComponent(src)] = data;
     }
 
     getWaveform(playerName, trackIndex) {
-        return this.players[playerName]?.waveforms[trackIndex] || null;
+        const track = this.players[playerName]?.playlist[trackIndex];
+        return track ? this.getWaveformBySrc(track.src) : null;
+    }
+
+    getWaveformBySrc(src) {
+        return this.waveforms[decodeURIComponent(src)] || null;
     }
 
     getCurrentWaveform() {
-        if (!this.activePlayerName) return null;
-        return this.getWaveform(this.activePlayerName, this.currentIndex);
+        const track = this.getCurrentTrack();
+        return track ? this.getWaveformBySrc(track.src) : null;
     }
 
     /**
      * Get active playlist with full track data for the transport dropdown
      */
     getActivePlaylistData() {
-        if (!this.activePlayerName) return null;
-
-        // Try to get from registered players first
-        const playerData = this.getPlaylistData(this.activePlayerName);
-        if (playerData) return playerData;
-
-        // Fall back to cached data if player was cleared but audio is still playing
-        if (this._cachedActivePlaylist && this._cachedActivePlaylist.name === this.activePlayerName) {
-            return {
-                ...this._cachedActivePlaylist,
-                currentIndex: this.currentIndex
-            };
-        }
+        if (!this.session) return null;
 
-        return null;
+        return {
+            name: this.session.name,
+            artist: this.session.artist,
+            year: this.session.year,
+            href: this.session.href,
+            tracks: this.session.playlist,
+            currentIndex: this.queueEntry ? -1 : this.currentIndex
+        };
     }
 
     /**
@@ -335,25 +1078,47 @@ class AudioManager {
         const player = this.players[name];
         if (!player) return null;
 
-        const data = {
+        return {
             name: player.name,
             artist: player.artist,
             year: player.year,
+            href: player.href,
             tracks: player.playlist,
-            currentIndex: name === this.activePlayerName ? this.currentIndex : -1
+            currentIndex: name === this.getCurrentPlaylistName() ? this.getState().currentIndex : -1
         };
+    }
 
-        // Cache active playlist data for when player is cleared
-        if (name === this.activePlayerName) {
-            this._cachedActivePlaylist = {
-                name: player.name,
-                artist: player.artist,
-                year: player.year,
-                tracks: player.playlist
-            };
+    /**
+     * AnalyserNode fed by both audio elements, so crossfades are seen whole.
+     * Returns null where Web Audio isn't available. The elements are only
+     * routed on first use: it can't be undone, and they are silent while
+     * the AudioContext is suspended.
+     */
+    getAnalyser() {
+        if (this.analyser) return this.analyser;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        try {
+            const context = new AudioContextClass();
+            const analyser = context.createAnalyser();
+            analyser.fftSize = 2048;
+            analyser.smoothingTimeConstant = 0.8;
+            analyser.connect(context.destination);
+            [this.audio, this.standby].forEach(el => {
+                context.createMediaElementSource(el).connect(analyser);
+            });
+
+            this.audioContext = context;
+            this.analyser = analyser;
+        } catch (e) {
+            console.warn('Web Audio analyser unavailable:', e);
+            return null;
         }
 
-        return data;
+        if (this.isPlaying) this.audioContext.resume();
+        return this.analyser;
     }
 
     /**
@@ -378,6 +1143,22 @@ class AudioManager {
         };
     }
 
+    /**
+     * Add a queue change listener (returns unsubscribe function)
+     */
+    addQueueListener(callback) {
+        this._queueChangeListeners.push(callback);
+        return () => {
+            const idx = this._queueChangeListeners.indexOf(callback);
+            if (idx > -1) this._queueChangeListeners.splice(idx, 1);
+        };
+    }
+
+    _notifyQueueListeners() {
+        const queue = this.getQueue();
+        this._queueChangeListeners.forEach(cb => cb(queue));
+    }
+
     /**
      * Notify all state listeners
      */
@@ -393,5 +1174,7 @@ class AudioManager {
     }
 }
 
+AudioManager.REPEAT_MODES = ['off', 'one', 'all'];
+
 // Global singleton
 window.audioManager = new AudioManager();
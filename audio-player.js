@@ -11,6 +11,11 @@
  *
  * options = {
  *   name: 'Playlist Name',  // Required for AudioManager registration
+ *   href: '/releases/foo',  // Release page linked from the transport bar
+ *   artwork: '/assets/cover.webp', // Lock screen artwork
+ *   gapless: true,          // Start the next track without a gap
+ *   crossfade: 4,           // Or fade between tracks over n seconds
+ *   cue: { index: 2, position: 80 }  // Load a track paused at a position
  *   waveformColor: '#0066cc'
  * }
  */
@@ -22,28 +27,128 @@ class AudioPlayer {
         this.name = options.name || 'Untitled';
         this.artist = options.artist || null;
         this.year = options.year || null;
+        this.href = options.href || null;
+        this.artwork = options.artwork || null;
+        this.gapless = !!options.gapless;
+        this.crossfade = options.crossfade || 0;
         this.currentIndex = 0;
         this.isPlaying = false;
-        this.waveformColor = options.waveformColor || getComputedStyle(document.documentElement).getPropertyValue('--waveform-color').trim() || '#21EDD9';
+        this.waveformColor = options.waveformColor || null;   // Default follows the theme
         this.waveforms = {};
+        this.waveformProgress = null;   // {index, fraction} of the playing track
+        this.durations = {};            // index -> seconds, for hover times
+        this._scrub = null;             // {el, index, fraction} while dragging
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
 
         // Master playlist mode: this player acts as an alias to a master playlist
         this.masterPlaylist = options.masterPlaylist || null;
 
         // Register with global AudioManager if available (only if not using master playlist)
+        // If this playlist is already the now playing session, the player
+        // attaches to it as a view in updateFromManager()
         if (window.audioManager && !this.masterPlaylist) {
             window.audioManager.register(this.name, playlist, {
                 player: this,
                 artist: this.artist,
-                year: this.year
+                year: this.year,
+                href: this.href,
+                artwork: this.artwork,
+                gapless: this.gapless,
+                crossfade: this.crossfade
             });
-            window.audioManager.tryReconnect(this.name);
         }
 
         this.render();
         this.bindEvents();
+
+        // Switch between scrolling and truncated titles as the preference changes
+        this._onMotionChange = () => {
+            this.updatePlaylistScrolling();
+            this.updateNowPlayingScrolling();
+        };
+        this.reducedMotion.addEventListener('change', this._onMotionChange);
         this.updateFromManager();
         this.generateAllWaveforms();
+
+        if (options.cue) {
+            this.cueTrack(options.cue.index, options.cue.position);
+        }
+    }
+
+    /**
+     * Read a deep link cue from a URL's query string or fragment:
+     * ?t=3&at=80 or #t=3&at=1:20 (track numbers start at 1)
+     * @returns {{index: number, position: number}|null}
+     */
+    static parseCue(url) {
+        const query = new URLSearchParams(url.search);
+        const fragment = new URLSearchParams(url.hash.replace(/^#/, ''));
+        const params = (query.has('t') || query.has('at')) ? query : fragment;
+        if (!params.has('t') && !params.has('at')) return null;
+
+        const track = params.has('t') ? parseInt(params.get('t')) : 1;
+        if (!(track >= 1)) return null;
+
+        return { index: track - 1, position: AudioPlayer.parseTime(params.get('at')) };
+    }
+
+    /**
+     * Seconds from "80", "1:20" or "1:02:03"
+     */
+    static parseTime(value) {
+        if (!value) return 0;
+        const seconds = value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+        return seconds > 0 ? seconds : 0;
+    }
+
+    /**
+     * Load one of this player's tracks paused at a position, ready to play
+     * (browsers block autoplay for visitors arriving from a link)
+     */
+    cueTrack(index, position = 0) {
+        if (!window.audioManager || !this.playlist[index]) return;
+
+        if (this.masterPlaylist) {
+            const masterIndex = this.findMasterIndex(index);
+            if (masterIndex >= 0) window.audioManager.cuePlaylist(this.masterPlaylist, masterIndex, position);
+        } else {
+            window.audioManager.cuePlaylist(this.name, index, position);
+        }
+    }
+
+    /**
+     * Link to this player's current track, at the current time if it is playing
+     */
+    getShareUrl() {
+        const state = window.audioManager ? window.audioManager.getState() : null;
+        const playingIndex = state && state.playlistName === (this.masterPlaylist || this.name)
+            ? this.findTrackIndex(state.currentTrack)
+            : -1;
+
+        const url = new URL(this.href || window.location.pathname, window.location.origin);
+        url.searchParams.set('t', (playingIndex >= 0 ? playingIndex : this.currentIndex) + 1);
+
+        const at = playingIndex >= 0 ? Math.floor(state.currentTime) : 0;
+        if (at > 0) url.searchParams.set('at', at);
+        return url.href;
+    }
+
+    async copyShareUrl() {
+        const url = this.getShareUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (e) {
+            // Clipboard API unavailable or denied: let the user copy it
+            window.prompt('Copy this link', url);
+            return;
+        }
+
+        this.linkBtn.classList.add('copied');
+        this.linkBtn.setAttribute('aria-label', 'Link copied');
+        setTimeout(() => {
+            this.linkBtn.classList.remove('copied');
+            this.linkBtn.setAttribute('aria-label', 'Copy link at current time');
+        }, 1500);
     }
 
     /**
@@ -81,6 +186,15 @@ class AudioPlayer {
         );
     }
 
+    /**
+     * Find local index of a track by matching src
+     */
+    findTrackIndex(track) {
+        if (!track) return -1;
+        const src = decodeURIComponent(track.src);
+        return this.playlist.findIndex(t => decodeURIComponent(t.src) === src);
+    }
+
     /**
      * Format track display with artist, title, album, and year
      * Format: "{artist} - {title} - {album} ({year})"
@@ -110,79 +224,71 @@ class AudioPlayer {
             <div class="controls">
                 <button class="play-btn" aria-label="Play">&#9654;</button>
                 <div class="progress-container">
-                    <div class="progress-bar">
-                        ${isSingleTrack ? '<canvas class="progress-waveform"></canvas>' : ''}
+                    <div class="progress-bar" role="slider" tabindex="0" aria-label="Seek"
+                        aria-valuemin="0" aria-valuemax="0" aria-valuenow="0" aria-valuetext="0:00 of 0:00">
+                        ${isSingleTrack ? '<canvas class="progress-waveform" aria-hidden="true"></canvas>' : ''}
                         <div class="progress"></div>
                     </div>
                     <span class="time">0:00 / 0:00</span>
                 </div>
+                ${!isSingleTrack ? '<button class="shuffle-btn" aria-label="Shuffle" aria-pressed="false">&#128256;</button>' : ''}
+                <button class="repeat-btn" aria-label="Repeat: off">&#128257;</button>
+                <button class="rate-btn" aria-label="Playback speed">1&times;</button>
+                <button class="link-btn" aria-label="Copy link at current time" title="Copy link at current time">&#128279;</button>
+                <div class="volume-control">
+                    <button class="mute-btn" aria-label="Mute">&#128266;</button>
+                    <input type="range" class="volume-slider" min="0" max="1" step="0.01" value="1" aria-label="Volume">
+                </div>
             </div>
-            ${!isSingleTrack ? '<div class="playlist"></div>' : ''}
+            ${!isSingleTrack ? '<ol class="playlist" aria-label="Tracks"></ol>' : ''}
+            <div class="waveform-tooltip" aria-hidden="true" hidden></div>
+            <div class="visually-hidden" aria-live="polite"></div>
         `;
 
         this.playBtn = this.container.querySelector('.play-btn');
         this.progressBar = this.container.querySelector('.progress-bar');
         this.progress = this.container.querySelector('.progress');
         this.timeDisplay = this.container.querySelector('.time');
+        this.shuffleBtn = this.container.querySelector('.shuffle-btn');
+        this.repeatBtn = this.container.querySelector('.repeat-btn');
+        this.rateBtn = this.container.querySelector('.rate-btn');
+        this.linkBtn = this.container.querySelector('.link-btn');
+        this.muteBtn = this.container.querySelector('.mute-btn');
+        this.volumeSlider = this.container.querySelector('.volume-slider');
         this.nowPlaying = this.container.querySelector('.now-playing');
         this.nowPlayingInner = this.container.querySelector('.now-playing-inner');
         this.playlistEl = this.container.querySelector('.playlist');
         this.progressWaveform = this.container.querySelector('.progress-waveform');
+        this.tooltip = this.container.querySelector('.waveform-tooltip');
+        this.announcer = this.container.querySelector('[aria-live]');
 
         if (this.playlistEl) {
             this.renderPlaylist();
         }
 
-        // Size the progress waveform canvas
-        if (this.progressWaveform) {
-            this.resizeProgressWaveform();
-            window.addEventListener('resize', () => this.resizeProgressWaveform());
-        }
-
         this.updateNowPlaying(this.playlist[0]);
     }
 
-    resizeProgressWaveform() {
-        if (!this.progressWaveform) return;
-        const rect = this.progressBar.getBoundingClientRect();
-        this.progressWaveform.width = rect.width * window.devicePixelRatio;
-        this.progressWaveform.height = rect.height * window.devicePixelRatio;
-        this.progressWaveform.style.width = rect.width + 'px';
-        this.progressWaveform.style.height = rect.height + 'px';
-        // Redraw if we have waveform data
-        if (this.waveforms[0]) {
-            this.drawWaveform(this.progressWaveform, this.waveforms[0]);
-        }
-    }
-
     renderPlaylist() {
         this.playlistEl.innerHTML = this.playlist.map((track, i) =>
-            `<div class="playlist-item${i === this.currentIndex ? ' active' : ''}" data-index="${i}">
-                <span class="track-title"><span class="track-title-inner">${this.formatPlaylistItem(track, i)}</span></span>
-                <canvas class="waveform" data-index="${i}"></canvas>
-            </div>`
+            `<li class="playlist-item${i === this.currentIndex ? ' active' : ''}" data-index="${i}">
+                <button type="button" class="track-title"><span class="track-title-inner">${this.formatPlaylistItem(track, i)}</span></button>
+                <canvas class="waveform" data-index="${i}" aria-hidden="true"></canvas>
+                <button type="button" class="queue-add" aria-label="Add to queue" title="Add to queue">+</button>
+            </li>`
         ).join('');
 
-        // Size canvases for retina displays
-        this.playlistEl.querySelectorAll('canvas.waveform').forEach(canvas => {
-            const rect = canvas.getBoundingClientRect();
-            const width = rect.width || 100;
-            const height = rect.height || 20;
-            canvas.width = width * window.devicePixelRatio;
-            canvas.height = height * window.devicePixelRatio;
-            canvas.style.width = width + 'px';
-            canvas.style.height = height + 'px';
-        });
-
         // Check for scrolling titles after layout
         requestAnimationFrame(() => this.updatePlaylistScrolling());
     }
 
     /**
-     * Check playlist items for overflow and add scrolling animation
+     * Check playlist items for overflow and add scrolling animation, or
+     * truncate them instead when reduced motion is preferred
      */
     updatePlaylistScrolling() {
         if (!this.playlistEl) return;
+        const reduceMotion = this.reducedMotion.matches;
 
         this.playlistEl.querySelectorAll('.playlist-item').forEach(item => {
             const titleContainer = item.querySelector('.track-title');
@@ -191,8 +297,13 @@ class AudioPlayer {
 
             const containerWidth = titleContainer.offsetWidth;
             const textWidth = titleInner.scrollWidth;
+            const overflows = textWidth > containerWidth;
+
+            // Reduced motion: truncate, with the full title on hover
+            titleContainer.classList.toggle('truncated', overflows && reduceMotion);
+            titleContainer.title = overflows && reduceMotion ? titleInner.textContent : '';
 
-            if (textWidth > containerWidth) {
+            if (overflows && !reduceMotion) {
                 const scrollDistance = textWidth - containerWidth + 20;
                 const scrollDuration = Math.max(8, scrollDistance / 30);
 
@@ -240,18 +351,20 @@ class AudioPlayer {
         }
     }
 
+    /**
+     * Single-track players draw in the progress bar, multi-track players
+     * in each playlist row
+     */
+    getWaveformCanvas(index) {
+        if (this.progressWaveform) {
+            return index === 0 ? this.progressWaveform : null;
+        }
+        return this.playlistEl ? this.playlistEl.querySelector(`canvas[data-index="${index}"]`) : null;
+    }
+
     async generateWaveform(index) {
         const track = this.playlist[index];
-
-        // Find the appropriate canvas
-        let canvas;
-        if (this.progressWaveform && index === 0) {
-            // Single-track player uses progress bar canvas
-            canvas = this.progressWaveform;
-        } else if (this.playlistEl) {
-            // Multi-track player uses playlist canvases
-            canvas = this.playlistEl.querySelector(`canvas[data-index="${index}"]`);
-        }
+        const canvas = this.getWaveformCanvas(index);
 
         if (!canvas) {
             // Still load and store waveform even without canvas for transport bar
@@ -259,7 +372,7 @@ class AudioPlayer {
             if (waveformData) {
                 this.waveforms[index] = waveformData;
                 if (window.audioManager) {
-                    window.audioManager.setWaveform(this.name, index, waveformData);
+                    window.audioManager.setWaveformBySrc(track.src, waveformData);
                 }
             }
             return;
@@ -268,12 +381,13 @@ class AudioPlayer {
         // Load pre-generated waveform JSON
         // We don't fall back to decoding full audio files as this causes
         // memory issues on mobile devices (iOS crashes with large MP3s)
-        const waveformData = await this.loadWaveformJson(track.src);
+        const cached = window.audioManager && window.audioManager.getWaveformBySrc(track.src);
+        const waveformData = cached || await this.loadWaveformJson(track.src);
         if (waveformData) {
-            this.drawWaveform(canvas, waveformData);
             this.waveforms[index] = waveformData;
+            this.paintWaveform(index);
             if (window.audioManager) {
-                window.audioManager.setWaveform(this.name, index, waveformData);
+                window.audioManager.setWaveformBySrc(track.src, waveformData);
             }
         }
         // If no JSON available, waveform simply won't display
@@ -312,62 +426,77 @@ class AudioPlayer {
         return null;
     }
 
-    drawWaveform(canvas, data) {
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width;
-        const height = canvas.height;
-
-        ctx.clearRect(0, 0, width, height);
-
-        // Create gradient from blue to waveform color
-        const gradient = ctx.createLinearGradient(0, 0, width, 0);
-        const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        const blueColor = isDark ? '#6db3f2' : '#0066cc';
-        gradient.addColorStop(0, blueColor);
-        gradient.addColorStop(1, this.waveformColor);
-        ctx.fillStyle = gradient;
-
-        // Draw as a continuous filled path for truly solid waveform
-        ctx.beginPath();
-        ctx.moveTo(0, height / 2);
-
-        // Top edge
-        data.forEach((value, i) => {
-            const x = (i / data.length) * width;
-            const barHeight = value * height * 0.9;
-            const y = (height - barHeight) / 2;
-            ctx.lineTo(x, y);
+    /**
+     * Redraw a track's waveform, with its played part if it is playing.
+     * waveformRenderer sizes the canvas and redraws it on resize and theme
+     * changes from then on.
+     */
+    paintWaveform(index) {
+        const canvas = this.getWaveformCanvas(index);
+        const data = this.waveforms[index];
+        if (!canvas || !data) return;
+
+        const scrub = this._scrub && this._scrub.index === index ? this._scrub : null;
+        const playing = this.waveformProgress && this.waveformProgress.index === index ? this.waveformProgress : null;
+        window.waveformRenderer.draw(canvas, {
+            data,
+            progress: (scrub || playing)?.fraction ?? null,
+            color: this.waveformColor
         });
-        ctx.lineTo(width, height / 2);
-
-        // Bottom edge (reverse)
-        for (let i = data.length - 1; i >= 0; i--) {
-            const x = (i / data.length) * width;
-            const barHeight = data[i] * height * 0.9;
-            const y = (height + barHeight) / 2;
-            ctx.lineTo(x, y);
+
+        // The waveform shows progress itself, so the overlay is hidden
+        if (canvas === this.progressWaveform) {
+            this.progressBar.classList.add('has-waveform');
         }
+    }
 
-        ctx.closePath();
-        ctx.fill();
+    /**
+     * Mark a track's played fraction, or clear it with index null
+     */
+    setWaveformProgress(index, fraction = 0) {
+        const previous = this.waveformProgress;
+        this.waveformProgress = index === null ? null : { index, fraction };
+        if (previous && previous.index !== index) this.paintWaveform(previous.index);
+        if (index !== null) this.paintWaveform(index);
     }
 
     bindEvents() {
         this.playBtn.addEventListener('click', () => this.togglePlay());
+        this.linkBtn.addEventListener('click', () => this.copyShareUrl());
 
-        this.progressBar.addEventListener('click', (e) => {
-            const rect = this.progressBar.getBoundingClientRect();
-            const percent = (e.clientX - rect.left) / rect.width;
-            const targetPlaylist = this.masterPlaylist || this.name;
-            if (window.audioManager && window.audioManager.activePlayerName === targetPlaylist) {
-                window.audioManager.seek(percent);
+        // Volume, speed, shuffle and repeat are global, so they work whichever
+        // player is active
+        if (window.audioManager) {
+            this.volumeSlider.addEventListener('input', () => {
+                window.audioManager.setVolume(parseFloat(this.volumeSlider.value));
+            });
+
+            this.muteBtn.addEventListener('click', () => window.audioManager.toggleMute());
+
+            if (this.shuffleBtn) {
+                this.shuffleBtn.addEventListener('click', () => window.audioManager.toggleShuffle());
             }
-        });
+            this.repeatBtn.addEventListener('click', () => window.audioManager.cycleRepeat());
+
+            this.rateBtn.addEventListener('click', () => {
+                const rates = AudioPlayer.PLAYBACK_RATES;
+                const current = rates.indexOf(window.audioManager.getState().playbackRate);
+                window.audioManager.setPlaybackRate(rates[(current + 1) % rates.length]);
+            });
+        }
+
+        this.bindScrubbing();
+        this.progressBar.addEventListener('keydown', (e) => this.handleSeekKey(e));
 
         if (this.playlistEl) {
             this.playlistEl.addEventListener('click', (e) => {
                 const item = e.target.closest('.playlist-item');
-                if (item) {
+                // Waveform clicks are handled as scrubs
+                if (e.target.closest('canvas.waveform')) return;
+
+                if (item && e.target.closest('.queue-add')) {
+                    this.addToQueue(parseInt(item.dataset.index), e.target.closest('.queue-add'));
+                } else if (item) {
                     const index = parseInt(item.dataset.index);
                     if (window.audioManager) {
                         if (this.masterPlaylist) {
@@ -393,76 +522,338 @@ class AudioPlayer {
 
             this._unsubscribeTime = window.audioManager.addTimeListener((time) => {
                 const targetPlaylist = this.masterPlaylist || this.name;
-                if (window.audioManager.activePlayerName === targetPlaylist) {
-                    // In master mode, only update if current track is in this album
-                    if (this.masterPlaylist) {
-                        const localIndex = this.findLocalIndex(window.audioManager.currentIndex);
-                        if (localIndex >= 0) {
-                            this.updateProgress(time);
-                        }
-                    } else {
-                        this.updateProgress(time);
+                if (window.audioManager.getCurrentPlaylistName() === targetPlaylist) {
+                    // Only update if the session's current track is in this player
+                    const localIndex = this.findTrackIndex(window.audioManager.getCurrentTrack());
+                    if (localIndex >= 0) {
+                        this.updateProgress(time, localIndex);
                     }
                 }
             });
         }
     }
 
+    /**
+     * Pointer scrubbing on the progress bar and playlist waveforms. Hovering
+     * shows the time under the pointer. Drags only preview; the seek happens
+     * on release so the audio isn't asked to seek on every pointer move. On
+     * a track that isn't playing, release starts it there.
+     */
+    bindScrubbing() {
+        const getTarget = (e) => {
+            const canvas = this.playlistEl && e.target.closest('canvas.waveform');
+            if (canvas) return { el: canvas, index: parseInt(canvas.dataset.index) };
+            if (this.progressBar.contains(e.target)) return { el: this.progressBar, index: this.currentIndex };
+            return null;
+        };
+        const getFraction = (el, e) => {
+            const rect = el.getBoundingClientRect();
+            return rect.width ? Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) : 0;
+        };
+
+        this.container.addEventListener('pointerdown', (e) => {
+            const target = getTarget(e);
+            if (!target || e.button > 0) return;
+
+            target.el.setPointerCapture(e.pointerId);
+            this._scrub = { ...target, fraction: getFraction(target.el, e) };
+            this.container.classList.add('scrubbing');
+            this.previewScrub();
+        });
+
+        this.container.addEventListener('pointermove', (e) => {
+            if (this._scrub) {
+                this._scrub.fraction = getFraction(this._scrub.el, e);
+                this.previewScrub();
+                return;
+            }
+
+            const target = getTarget(e);
+            if (target) {
+                this.showTooltip(target.el, target.index, getFraction(target.el, e));
+            } else {
+                this.hideTooltip();
+            }
+        });
+
+        this.container.addEventListener('pointerup', () => {
+            if (!this._scrub) return;
+            const { index, fraction } = this._scrub;
+            this.endScrub();
+            this.seekTrack(index, fraction);
+        });
+
+        // E.g. a touch that turned into a vertical scroll
+        this.container.addEventListener('pointercancel', () => this.endScrub());
+        this.container.addEventListener('pointerleave', () => {
+            if (!this._scrub) this.hideTooltip();
+        });
+    }
+
+    previewScrub() {
+        const { el, index, fraction } = this._scrub;
+        this.paintWaveform(index);
+        this.showTooltip(el, index, fraction);
+
+        if (el === this.progressBar) {
+            this.progress.style.width = (fraction * 100) + '%';
+            const duration = this.getTrackDuration(index);
+            if (duration) {
+                this.timeDisplay.textContent = `${this.formatTime(fraction * duration)} / ${this.formatTime(duration)}`;
+            }
+        }
+    }
+
+    endScrub() {
+        if (!this._scrub) return;
+        const { index } = this._scrub;
+        this._scrub = null;
+        this.container.classList.remove('scrubbing');
+        this.hideTooltip();
+        this.paintWaveform(index);
+    }
+
+    /**
+     * Slider keys: arrows, Page Up/Down, Home and End. Handled even when another player is playing, so they
+     * don't fall through to the site-wide shortcuts and seek that one.
+     */
+    handleSeekKey(e) {
+        const steps = { ArrowLeft: -5, ArrowDown: -5, ArrowRight: 5, ArrowUp: 5, PageDown: -30, PageUp: 30 };
+        if (!(e.key in steps) && e.key !== 'Home' && e.key !== 'End') return;
+
+        e.preventDefault();
+        if (!this.isTrackActive(this.currentIndex)) return;
+
+        if (e.key === 'Home') {
+            window.audioManager.seek(0);
+        } else if (e.key === 'End') {
+            window.audioManager.seek(1);
+        } else {
+            window.audioManager.seekBy(steps[e.key]);
+        }
+    }
+
+    /**
+     * Seek the playing track, or start another of this player's tracks at
+     * that point
+     */
+    seekTrack(index, fraction) {
+        if (!window.audioManager) return;
+
+        if (this.isTrackActive(index)) {
+            window.audioManager.seek(fraction);
+        } else if (this.masterPlaylist) {
+            const masterIndex = this.findMasterIndex(index);
+            if (masterIndex >= 0) {
+                window.audioManager.playPlaylist(this.masterPlaylist, masterIndex, { progress: fraction });
+            }
+        } else {
+            window.audioManager.playPlaylist(this.name, index, { progress: fraction });
+        }
+    }
+
+    /**
+     * True if one of this player's tracks is the session's current track
+     */
+    isTrackActive(index) {
+        return !!window.audioManager &&
+            window.audioManager.getCurrentPlaylistName() === (this.masterPlaylist || this.name) &&
+            this.findTrackIndex(window.audioManager.getCurrentTrack()) === index;
+    }
+
+    getTrackDuration(index) {
+        if (this.isTrackActive(index)) {
+            return window.audioManager.getState().duration || null;
+        }
+        return this.durations[index] || null;
+    }
+
+    /**
+     * Read a track's duration from its metadata alone, for hover times on
+     * tracks that haven't been played yet
+     */
+    probeDuration(index) {
+        if (index in this.durations || !this.playlist[index]) return;
+        this.durations[index] = null;
+
+        const probe = new Audio();
+        probe.preload = 'metadata';
+        probe.addEventListener('loadedmetadata', () => {
+            this.durations[index] = probe.duration;
+            probe.removeAttribute('src');
+            probe.load();
+        }, { once: true });
+        probe.src = this.playlist[index].src;
+    }
+
+    /**
+     * Time under the pointer, above the waveform or progress bar
+     */
+    showTooltip(el, index, fraction) {
+        const duration = this.getTrackDuration(index);
+        if (!duration) {
+            this.probeDuration(index);
+            this.hideTooltip();
+            return;
+        }
+
+        const containerRect = this.container.getBoundingClientRect();
+        const rect = el.getBoundingClientRect();
+        this.tooltip.textContent = this.formatTime(fraction * duration);
+        this.tooltip.style.left = (rect.left + fraction * rect.width - containerRect.left) + 'px';
+        this.tooltip.style.top = (rect.top - containerRect.top) + 'px';
+        this.tooltip.hidden = false;
+    }
+
+    hideTooltip() {
+        this.tooltip.hidden = true;
+    }
+
+    /**
+     * Queue one of this player's tracks, flashing the button as confirmation
+     */
+    addToQueue(index, button) {
+        if (!window.audioManager) return;
+
+        const entry = this.masterPlaylist
+            ? window.audioManager.enqueue(this.masterPlaylist, this.findMasterIndex(index))
+            : window.audioManager.enqueue(this.name, index);
+        if (!entry || !button) return;
+
+        button.innerHTML = '&#10003;';
+        button.classList.add('added');
+        setTimeout(() => {
+            button.innerHTML = '+';
+            button.classList.remove('added');
+        }, 1500);
+    }
+
     /**
      * Clean up listeners when player is destroyed
+     * Unregistering only detaches this view; the now playing session continues
      */
     destroy() {
         if (this._unsubscribeState) this._unsubscribeState();
         if (this._unsubscribeTime) this._unsubscribeTime();
+        this.reducedMotion.removeEventListener('change', this._onMotionChange);
+        this.container.querySelectorAll('canvas').forEach(canvas => window.waveformRenderer.detach(canvas));
+        if (window.audioManager && !this.masterPlaylist &&
+            window.audioManager.players[this.name]?.options.player === this) {
+            window.audioManager.unregister(this.name);
+        }
     }
 
     handleManagerState(state) {
         const targetPlaylist = this.masterPlaylist || this.name;
 
+        this.updateAudioSettings(state);
+
         // Check if this player's content is currently playing
         if (state.playlistName === targetPlaylist) {
-            // Find local index from master index if in master mode
+            // Find local index from master index if in master mode,
+            // otherwise match the session's track against our own playlist
             const localIndex = this.masterPlaylist
                 ? this.findLocalIndex(state.currentIndex)
-                : state.currentIndex;
+                : this.findTrackIndex(state.currentTrack);
 
             // Only show as playing if current track is in this album
             const isTrackInThisAlbum = localIndex >= 0;
 
             this.isPlaying = state.isPlaying && isTrackInThisAlbum;
             this.currentIndex = isTrackInThisAlbum ? localIndex : 0;
+            this.container.classList.toggle('active', isTrackInThisAlbum);
             this.playBtn.innerHTML = (state.isPlaying && isTrackInThisAlbum) ? '&#10074;&#10074;' : '&#9654;';
             this.playBtn.setAttribute('aria-label', (state.isPlaying && isTrackInThisAlbum) ? 'Pause' : 'Play');
 
             if (isTrackInThisAlbum && state.currentTrack) {
                 this.updateNowPlaying(state.currentTrack);
+                if (state.isPlaying) this.announceTrack(state.currentTrack);
             }
 
             if (this.playlistEl) {
                 this.playlistEl.querySelectorAll('.playlist-item').forEach((el, i) => {
-                    el.classList.toggle('active', isTrackInThisAlbum && i === localIndex);
+                    this.setItemActive(el, isTrackInThisAlbum && i === localIndex);
                 });
             }
+
+            if (!isTrackInThisAlbum) {
+                this.setWaveformProgress(null);
+            } else if (this.waveformProgress?.index !== localIndex) {
+                this.setWaveformProgress(localIndex, 0);
+            }
         } else {
             // Another player is active, show paused state
             this.isPlaying = false;
+            this.container.classList.remove('active');
             this.playBtn.innerHTML = '&#9654;';
             this.playBtn.setAttribute('aria-label', 'Play');
 
             if (this.playlistEl) {
                 this.playlistEl.querySelectorAll('.playlist-item').forEach(el => {
-                    el.classList.remove('active');
+                    this.setItemActive(el, false);
                 });
             }
+            this._announcedSrc = null;
+
+            if (this.waveformProgress) {
+                this.setWaveformProgress(null);
+            }
         }
     }
 
+    setItemActive(item, active) {
+        item.classList.toggle('active', active);
+        const button = item.querySelector('.track-title');
+        if (active) {
+            button.setAttribute('aria-current', 'true');
+        } else {
+            button.removeAttribute('aria-current');
+        }
+    }
+
+    /**
+     * Tell screen readers when a new track starts. Only the player holding
+     * the playing track speaks, so a page of players announces it once.
+     */
+    announceTrack(track) {
+        if (track.src === this._announcedSrc) return;
+        this._announcedSrc = track.src;
+        this.announcer.textContent = `Now playing: ${this.formatTrackDisplay(track)}`;
+    }
+
+    /**
+     * Reflect volume, mute, speed, shuffle and repeat, which are shared by
+     * every player
+     */
+    updateAudioSettings(state) {
+        const muted = state.muted || state.volume === 0;
+        this.volumeSlider.value = state.muted ? 0 : state.volume;
+        this.muteBtn.innerHTML = muted ? '&#128263;' : '&#128266;';
+        this.muteBtn.setAttribute('aria-label', state.muted ? 'Unmute' : 'Mute');
+        this.muteBtn.classList.toggle('active', muted);
+
+        this.rateBtn.innerHTML = `${state.playbackRate}&times;`;
+        this.rateBtn.classList.toggle('active', state.playbackRate !== 1);
+
+        if (this.shuffleBtn) {
+            this.shuffleBtn.classList.toggle('active', state.shuffle);
+            this.shuffleBtn.setAttribute('aria-pressed', String(state.shuffle));
+        }
+        this.repeatBtn.innerHTML = state.repeat === 'one' ? '&#128258;' : '&#128257;';
+        this.repeatBtn.setAttribute('aria-label', `Repeat: ${state.repeat}`);
+        this.repeatBtn.classList.toggle('active', state.repeat !== 'off');
+    }
+
     updateFromManager() {
         if (window.audioManager) {
             const state = window.audioManager.getState();
+            this.updateAudioSettings(state);
             const targetPlaylist = this.masterPlaylist || this.name;
             if (state.playlistName === targetPlaylist) {
                 this.handleManagerState(state);
+                if (this.currentIndex === this.findTrackIndex(state.currentTrack)) {
+                    this.updateProgress(state);
+                }
             }
         }
     }
@@ -472,8 +863,8 @@ class AudioPlayer {
             if (this.masterPlaylist) {
                 // Master playlist mode
                 // Check if current track is in THIS album
-                const localIndex = this.findLocalIndex(window.audioManager.currentIndex);
-                const isPlayingThisAlbum = window.audioManager.activePlayerName === this.masterPlaylist && localIndex >= 0;
+                const localIndex = this.findLocalIndex(window.audioManager.getState().currentIndex);
+                const isPlayingThisAlbum = window.audioManager.getCurrentPlaylistName() === this.masterPlaylist && localIndex >= 0;
 
                 if (isPlayingThisAlbum) {
                     // Currently playing this album - toggle play/pause
@@ -486,7 +877,7 @@ class AudioPlayer {
                     }
                 }
             } else {
-                if (window.audioManager.activePlayerName === this.name) {
+                if (window.audioManager.getCurrentPlaylistName() === this.name) {
                     window.audioManager.togglePlay();
                 } else {
                     // Start this playlist
@@ -496,10 +887,18 @@ class AudioPlayer {
         }
     }
 
-    updateProgress(time) {
-        const percent = time.duration ? (time.currentTime / time.duration) * 100 : 0;
-        this.progress.style.width = percent + '%';
+    updateProgress(time, index = this.currentIndex) {
+        if (time.duration) this.durations[index] = time.duration;
+        // A drag in progress shows where it will seek to instead
+        if (this._scrub) return;
+
+        const fraction = time.duration ? time.currentTime / time.duration : 0;
+        this.progress.style.width = (fraction * 100) + '%';
         this.timeDisplay.textContent = `${this.formatTime(time.currentTime)} / ${this.formatTime(time.duration)}`;
+        this.progressBar.setAttribute('aria-valuemax', Math.round(time.duration || 0));
+        this.progressBar.setAttribute('aria-valuenow', Math.round(time.currentTime || 0));
+        this.progressBar.setAttribute('aria-valuetext', `${this.formatTime(time.currentTime)} of ${this.formatTime(time.duration)}`);
+        this.setWaveformProgress(index, fraction);
     }
 
     formatTime(seconds) {
@@ -515,15 +914,30 @@ class AudioPlayer {
     updateNowPlaying(track) {
         if (!track || !this.nowPlayingInner) return;
 
-        const displayText = this.formatTrackDisplay(track);
-        this.nowPlayingInner.textContent = displayText;
+        this.nowPlayingInner.textContent = this.formatTrackDisplay(track);
+        this.updateNowPlayingScrolling();
+    }
+
+    /**
+     * Scroll the now playing text if it overflows, or truncate it when
+     * reduced motion is preferred
+     */
+    updateNowPlayingScrolling() {
+        if (!this.nowPlayingInner) return;
+        const displayText = this.nowPlayingInner.textContent;
+        const reduceMotion = this.reducedMotion.matches;
 
         // Check if text overflows and needs scrolling
         requestAnimationFrame(() => {
             const containerWidth = this.nowPlaying.offsetWidth;
             const textWidth = this.nowPlayingInner.scrollWidth;
+            const overflows = textWidth > containerWidth;
 
-            if (textWidth > containerWidth) {
+            // Reduced motion: truncate, with the full text on hover
+            this.nowPlaying.classList.toggle('truncated', overflows && reduceMotion);
+            this.nowPlaying.title = overflows && reduceMotion ? displayText : '';
+
+            if (overflows && !reduceMotion) {
                 const scrollDistance = textWidth - containerWidth + 20; // 20px padding
                 const scrollDuration = Math.max(8, scrollDistance / 30); // ~30px/sec
 
@@ -536,3 +950,6 @@ class AudioPlayer {
         });
     }
 }
+
+// Speeds the rate button cycles through
+AudioPlayer.PLAYBACK_RATES = [1, 1.25, 1.5, 2, 0.75];
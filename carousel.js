@@ -0,0 +1,417 @@
+/**
+ * Carousel Component with Lightbox
+ * Scroll-snap image carousel with keyboard, swipe, dots and optional autoplay.
+ * Clicking an image opens a fullscreen lightbox with pinch/wheel zoom.
+ *
+ * Usage: new Carousel(containerElement, options)
+ *
+ * Expects the existing markup:
+ *   <div class="carousel">
+ *     <div class="carousel-track"><figure><img ...></figure>...</div>
+ *     <div class="carousel-nav">
+ *       <button class="carousel-prev"></button>
+ *       <span class="carousel-counter"></span>
+ *       <button class="carousel-next"></button>
+ *     </div>
+ *   </div>
+ *
+ * options = {
+ *   autoplay: 5000,   // ms between slides, 0 to disable
+ *   lightbox: true
+ * }
+ */
+
+class Carousel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.track = container.querySelector('.carousel-track');
+        this.slides = Array.from(this.track.querySelectorAll('figure'));
+        this.counter = container.querySelector('.carousel-counter');
+        this.prevBtn = container.querySelector('.carousel-prev');
+        this.nextBtn = container.querySelector('.carousel-next');
+        this.currentIndex = 0;
+        this.autoplayDelay = options.autoplay || 0;
+        this.lightboxEnabled = options.lightbox !== false;
+        this.lightbox = null;
+        this._autoplayTimer = null;
+        this._hovered = false;
+        this._listeners = [];
+
+        // Autoplay is distracting for reduced-motion users
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.autoplayDelay = 0;
+        }
+
+        this.render();
+        this.bindEvents();
+        this.update();
+        this.startAutoplay();
+    }
+
+    render() {
+        this.container.setAttribute('tabindex', '0');
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-roledescription', 'carousel');
+
+        if (this.prevBtn) this.prevBtn.setAttribute('aria-label', 'Previous image');
+        if (this.nextBtn) this.nextBtn.setAttribute('aria-label', 'Next image');
+
+        // Dot indicators
+        if (this.slides.length > 1) {
+            this.dotsEl = document.createElement('div');
+            this.dotsEl.className = 'carousel-dots';
+            this.dotsEl.innerHTML = this.slides.map((_, i) =>
+                `<button class="carousel-dot" data-index="${i}" aria-label="Image ${i + 1}"></button>`
+            ).join('');
+            this.container.appendChild(this.dotsEl);
+        }
+    }
+
+    /**
+     * Add an event listener that destroy() will remove
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    bindEvents() {
+        if (this.prevBtn) this.listen(this.prevBtn, 'click', () => this.prev());
+        if (this.nextBtn) this.listen(this.nextBtn, 'click', () => this.next());
+
+        // Native scroll-snap handles swipe; we just follow the position
+        this.listen(this.track, 'scroll', () => this.update(), { passive: true });
+
+        if (this.dotsEl) {
+            this.listen(this.dotsEl, 'click', (e) => {
+                const dot = e.target.closest('.carousel-dot');
+                if (dot) this.goTo(parseInt(dot.dataset.index));
+            });
+        }
+
+        this.listen(this.container, 'keydown', (e) => {
+            if (e.target !== this.container) return;
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.prev();
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.next();
+            } else if (e.key === 'Enter' && this.lightboxEnabled) {
+                e.preventDefault();
+                this.openLightbox(this.currentIndex);
+            }
+        });
+
+        if (this.lightboxEnabled) {
+            this.listen(this.track, 'click', (e) => {
+                const figure = e.target.closest('figure');
+                if (figure) this.openLightbox(this.slides.indexOf(figure));
+            });
+        }
+
+        // Pause autoplay while the user is looking at or using the carousel
+        this.listen(this.container, 'pointerenter', () => {
+            this._hovered = true;
+            this.stopAutoplay();
+        });
+        this.listen(this.container, 'pointerleave', () => {
+            this._hovered = false;
+            this.resumeAutoplay();
+        });
+        this.listen(this.container, 'focusin', () => this.stopAutoplay());
+        this.listen(this.container, 'focusout', (e) => {
+            if (!this.container.contains(e.relatedTarget)) this.resumeAutoplay();
+        });
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.stopAutoplay();
+            } else {
+                this.resumeAutoplay();
+            }
+        });
+    }
+
+    update() {
+        const width = this.track.offsetWidth;
+        this.currentIndex = width ? Math.round(this.track.scrollLeft / width) : 0;
+
+        if (this.counter) {
+            this.counter.textContent = `${this.currentIndex + 1} / ${this.slides.length}`;
+        }
+        if (this.dotsEl) {
+            this.dotsEl.querySelectorAll('.carousel-dot').forEach((dot, i) => {
+                dot.classList.toggle('active', i === this.currentIndex);
+                dot.setAttribute('aria-current', i === this.currentIndex ? 'true' : 'false');
+            });
+        }
+    }
+
+    goTo(index) {
+        const count = this.slides.length;
+        if (count === 0) return;
+        const target = (index + count) % count;
+        this.track.scrollTo({ left: target * this.track.offsetWidth, behavior: 'smooth' });
+    }
+
+    prev() {
+        this.goTo(this.currentIndex - 1);
+    }
+
+    next() {
+        this.goTo(this.currentIndex + 1);
+    }
+
+    startAutoplay() {
+        if (!this.autoplayDelay || this.slides.length < 2 || this.lightbox) return;
+        this.stopAutoplay();
+        this._autoplayTimer = setInterval(() => this.next(), this.autoplayDelay);
+    }
+
+    /**
+     * Restart autoplay unless the carousel is still hovered or focused
+     */
+    resumeAutoplay() {
+        if (this._hovered || this.container.contains(document.activeElement)) return;
+        this.startAutoplay();
+    }
+
+    stopAutoplay() {
+        if (this._autoplayTimer) {
+            clearInterval(this._autoplayTimer);
+            this._autoplayTimer = null;
+        }
+    }
+
+    openLightbox(index) {
+        if (index < 0) return;
+        this.stopAutoplay();
+        if (!this.lightbox) {
+            // Clicked images aren't focusable, so return focus to the carousel
+            const opener = this.container.contains(document.activeElement) ? document.activeElement : this.container;
+            this.lightbox = new Lightbox(this.slides.map(figure => figure.querySelector('img')), {
+                opener,
+                onClose: () => {
+                    this.lightbox = null;
+                    this.resumeAutoplay();
+                },
+                onChange: (i) => this.goTo(i)
+            });
+        }
+        this.lightbox.show(index);
+    }
+
+    /**
+     * Clean up listeners, timers and the lightbox (called on navigation)
+     */
+    destroy() {
+        if (this.lightbox) this.lightbox.close();
+        this.stopAutoplay();
+        this._listeners.forEach(remove => remove());
+        this._listeners = [];
+        if (this.dotsEl) this.dotsEl.remove();
+    }
+}
+
+/**
+ * Fullscreen image viewer used by Carousel
+ * Supports pinch zoom and pan on touch, wheel and double-click zoom on desktop
+ * Tab is kept inside the viewer while it is open; closing it focuses
+ * options.opener (default: whatever had focus when it opened).
+ */
+class Lightbox {
+    constructor(images, options = {}) {
+        this.images = images;
+        this.onClose = options.onClose || (() => {});
+        this.onChange = options.onChange || (() => {});
+        this.currentIndex = 0;
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this._pointers = new Map();
+        this._pinch = null;
+        this._pan = null;
+        this._previousFocus = options.opener || document.activeElement;
+
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        this.el = document.createElement('div');
+        this.el.className = 'lightbox';
+        this.el.setAttribute('role', 'dialog');
+        this.el.setAttribute('aria-modal', 'true');
+        this.el.setAttribute('aria-label', 'Image viewer');
+        this.el.innerHTML = `
+            <img class="lightbox-image" alt="">
+            <div class="lightbox-nav">
+                <button class="lightbox-prev" aria-label="Previous image">&larr;</button>
+                <span class="lightbox-counter"></span>
+                <button class="lightbox-next" aria-label="Next image">&rarr;</button>
+            </div>
+            <button class="lightbox-close" aria-label="Close">&times;</button>
+        `;
+
+        this.imageEl = this.el.querySelector('.lightbox-image');
+        this.counterEl = this.el.querySelector('.lightbox-counter');
+        this.closeBtn = this.el.querySelector('.lightbox-close');
+
+        if (this.images.length < 2) {
+            this.el.querySelector('.lightbox-nav').hidden = true;
+        }
+
+        document.body.appendChild(this.el);
+        document.body.classList.add('lightbox-open');
+        this.closeBtn.focus();
+    }
+
+    bindEvents() {
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.el.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.currentIndex - 1));
+        this.el.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.currentIndex + 1));
+
+        // Click on the backdrop closes
+        this.el.addEventListener('click', (e) => {
+            if (e.target === this.el) this.close();
+        });
+
+        this._onKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'ArrowLeft') {
+                this.show(this.currentIndex - 1);
+            } else if (e.key === 'ArrowRight') {
+                this.show(this.currentIndex + 1);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        };
+        document.addEventListener('keydown', this._onKeyDown);
+
+        this.imageEl.addEventListener('dblclick', (e) => {
+            this.zoomTo(this.scale > 1 ? 1 : 2.5, e.clientX, e.clientY);
+        });
+
+        this.imageEl.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+            this.zoomTo(this.scale * factor, e.clientX, e.clientY);
+        }, { passive: false });
+
+        this.imageEl.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.imageEl.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.imageEl.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.imageEl.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+    }
+
+    /**
+     * Wrap Tab and Shift+Tab around the viewer's visible buttons
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.el.querySelectorAll('button')).filter(button => !button.closest('[hidden]'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = this.el.contains(document.activeElement);
+
+        if (e.shiftKey && (!inside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    show(index) {
+        const count = this.images.length;
+        this.currentIndex = (index + count) % count;
+        const img = this.images[this.currentIndex];
+        this.imageEl.src = img.currentSrc || img.src;
+        this.imageEl.alt = img.alt;
+        this.counterEl.textContent = `${this.currentIndex + 1} / ${count}`;
+        this.resetZoom();
+        this.onChange(this.currentIndex);
+    }
+
+    handlePointerDown(e) {
+        e.preventDefault();
+        this.imageEl.setPointerCapture(e.pointerId);
+        this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this._pointers.size === 2) {
+            const [a, b] = Array.from(this._pointers.values());
+            this._pinch = {
+                distance: Math.hypot(a.x - b.x, a.y - b.y),
+                scale: this.scale
+            };
+            this._pan = null;
+        } else if (this._pointers.size === 1 && this.scale > 1) {
+            this._pan = { x: e.clientX - this.offsetX, y: e.clientY - this.offsetY };
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this._pointers.has(e.pointerId)) return;
+        this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this._pinch && this._pointers.size === 2) {
+            const [a, b] = Array.from(this._pointers.values());
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            this.zoomTo(this._pinch.scale * (distance / this._pinch.distance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (this._pan) {
+            this.offsetX = e.clientX - this._pan.x;
+            this.offsetY = e.clientY - this._pan.y;
+            this.applyTransform();
+        }
+    }
+
+    handlePointerUp(e) {
+        this._pointers.delete(e.pointerId);
+        if (this._pointers.size < 2) this._pinch = null;
+        if (this._pointers.size === 0) this._pan = null;
+    }
+
+    /**
+     * Zoom keeping the point under (clientX, clientY) fixed
+     */
+    zoomTo(scale, clientX, clientY) {
+        const newScale = Math.min(5, Math.max(1, scale));
+        const rect = this.imageEl.getBoundingClientRect();
+        const originX = clientX - (rect.left + rect.width / 2);
+        const originY = clientY - (rect.top + rect.height / 2);
+        const ratio = newScale / this.scale;
+
+        this.offsetX -= originX * (ratio - 1);
+        this.offsetY -= originY * (ratio - 1);
+        this.scale = newScale;
+
+        if (this.scale === 1) {
+            this.offsetX = 0;
+            this.offsetY = 0;
+        }
+        this.applyTransform();
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        this.imageEl.style.transform = `translate(${this.offsetX}px, ${this.offsetY}px) scale(${this.scale})`;
+        this.el.classList.toggle('zoomed', this.scale > 1);
+    }
+
+    close() {
+        document.removeEventListener('keydown', this._onKeyDown);
+        document.body.classList.remove('lightbox-open');
+        this.el.remove();
+        if (this._previousFocus && this._previousFocus.focus) {
+            this._previousFocus.focus();
+        }
+        this.onClose();
+    }
+}
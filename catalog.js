@@ -0,0 +1,260 @@
+/**
+ * Release Catalog
+ * Loads releases.json and renders the home feed, the releases index and
+ * individual release pages from it. Rendered markup declares its audio
+ * players and carousels as components for the ComponentRegistry to mount.
+ *
+ * Usage:
+ *   await window.catalog.renderRelease(containerElement, 'delible')
+ *   await window.catalog.renderFeed(containerElement)
+ *   await window.catalog.renderIndex(containerElement)
+ *
+ * getMasterPlaylist() strings every release together for the label-wide
+ * "play everything" playlist; players in the home feed are views onto it.
+ */
+
+// escapeHtml() is a browser global; build scripts load it in Node
+if (typeof module !== 'undefined' && module.exports) {
+    global.escapeHtml = require('./escape-html.js');
+}
+
+class Catalog {
+    constructor(src = '/releases.json') {
+        this.src = src;
+        this.releases = [];
+        this.masterPlaylistName = 'Limited Interest';
+        this._loading = null;
+    }
+
+    /**
+     * Fetch the catalog once and reuse it for every navigation
+     */
+    load() {
+        if (!this._loading) {
+            this._loading = fetch(this.src)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Catalog request failed: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.releases = data.releases || [];
+                    return this.releases;
+                })
+                .catch(error => {
+                    // Allow a retry on the next navigation
+                    this._loading = null;
+                    throw error;
+                });
+        }
+        return this._loading;
+    }
+
+    get(slug) {
+        return this.releases.find(release => release.slug === slug) || null;
+    }
+
+    getHref(release) {
+        return `/releases/${release.slug}`;
+    }
+
+    getYear(release) {
+        return release.date ? parseInt(release.date.slice(0, 4)) : null;
+    }
+
+    /**
+     * "Karl Fousek - One Another", or just the title for splits
+     */
+    getHeading(release) {
+        return release.artist ? `${release.artist} - ${release.title}` : release.title;
+    }
+
+    /**
+     * Full dates are shown as-is, month-only dates as "May 2017"
+     */
+    formatDate(date) {
+        const [year, month, day] = date.split('-');
+        if (day || !month) return date;
+        const monthName = new Date(Date.UTC(year, month - 1, 1))
+            .toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+        return `${monthName} ${year}`;
+    }
+
+    /**
+     * Head metadata for a release page, including MusicAlbum structured data
+     */
+    getPageMeta(release, origin = 'https://limited-interest.com') {
+        const artists = release.artist ? [release.artist] : release.title.split(' / ');
+        return {
+            title: this.getHeading(release),
+            description: release.summary,
+            image: release.cover.src,
+            path: this.getHref(release),
+            type: 'music.album',
+            jsonLd: {
+                '@context': 'https://schema.org',
+                '@type': 'MusicAlbum',
+                name: release.title,
+                byArtist: artists.map(name => ({ '@type': 'MusicGroup', name })),
+                datePublished: release.date,
+                description: release.summary,
+                image: origin + release.cover.src,
+                url: origin + this.getHref(release),
+                numTracks: release.tracks.length,
+                track: release.tracks.map((track, i) => ({
+                    '@type': 'MusicRecording',
+                    name: track.title,
+                    position: i + 1
+                })),
+                albumRelease: {
+                    '@type': 'MusicRelease',
+                    name: release.title,
+                    catalogNumber: release.catalogNumber,
+                    musicReleaseFormat: 'https://schema.org/CassetteFormat',
+                    recordLabel: { '@type': 'Organization', name: 'Limited Interest' }
+                }
+            }
+        };
+    }
+
+    /**
+     * Options passed to AudioPlayer so every player gets the same metadata
+     */
+    getPlayerOptions(release) {
+        return {
+            name: release.title,
+            artist: release.artist,
+            year: this.getYear(release),
+            href: this.getHref(release),
+            artwork: release.cover.src,
+            // Per-release transitions, e.g. "playback": { "gapless": true }
+            ...release.playback
+        };
+    }
+
+    /**
+     * Every release's tracks in catalog order. Each track carries its
+     * release's metadata and transitions, since the playlist as a whole has
+     * no one artist or playback style.
+     */
+    getMasterPlaylist() {
+        return this.releases.flatMap(release => release.tracks.map(track => ({
+            ...track,
+            artist: release.artist,
+            album: release.title,
+            year: this.getYear(release),
+            href: this.getHref(release),
+            artwork: release.cover.src,
+            gapless: !!release.playback?.gapless,
+            crossfade: release.playback?.crossfade || 0
+        })));
+    }
+
+    async renderFeed(container) {
+        await this.load();
+        if (!container.isConnected) return;
+        container.innerHTML = this.getFeedHtml();
+    }
+
+    async renderIndex(container) {
+        await this.load();
+        if (!container.isConnected) return;
+        container.innerHTML = this.getIndexHtml();
+    }
+
+    async renderRelease(container, slug) {
+        await this.load();
+        if (!container.isConnected) return;
+        container.innerHTML = this.getReleaseHtml(slug);
+    }
+
+    /**
+     * Markup builders, shared with the static pre-render build
+     */
+    getFeedHtml() {
+        return this.releases
+            .map(release => this.renderArticle(release, { linkTitle: true, master: true }))
+            .join('');
+    }
+
+    getIndexHtml() {
+        return this.releases.map(release =>
+            `<p id="${release.slug}"><a href="${this.getHref(release)}"><strong>${escapeHtml(this.getHeading(release))}</strong></a> <span class="post-date">${this.formatDate(release.date)}</span><br>
+<em>${escapeHtml(release.summary)}</em></p>`
+        ).join('\n\n');
+    }
+
+    getReleaseHtml(slug) {
+        const index = this.releases.findIndex(release => release.slug === slug);
+        if (index < 0) return '<h1>Release not found</h1>';
+
+        const release = this.releases[index];
+        const prev = this.releases[index - 1];
+        const next = this.releases[index + 1];
+
+        return `
+            <p><a href="/">&larr; Limited Interest</a></p>
+            ${this.renderArticle(release, { linkTitle: false })}
+            <p class="release-nav">
+                ${prev ? `<a href="${this.getHref(prev)}">&larr; ${escapeHtml(prev.shortTitle)}</a>` : '<span></span>'}
+                <a href="/releases">all releases</a>
+                ${next ? `<a href="${this.getHref(next)}">${escapeHtml(next.shortTitle)} &rarr;</a>` : '<span></span>'}
+            </p>
+        `;
+    }
+
+    /**
+     * master: the player is a view onto the label-wide master playlist
+     */
+    renderArticle(release, { linkTitle, master = false }) {
+        const heading = `<strong>${escapeHtml(this.getHeading(release))}</strong>`;
+        const title = linkTitle ? `<a href="${this.getHref(release)}">${heading}</a>` : heading;
+
+        return `
+            <article id="${release.slug}">
+                <p>${title} <span class="post-date">${this.formatDate(release.date)} &middot; ${release.catalogNumber} &middot; ${release.editionSize} copies</span></p>
+                ${release.description.map(text => `<p>${escapeHtml(text)}</p>`).join('')}
+
+                <figure>
+                    <img loading="lazy" src="${release.cover.src}" alt="${escapeHtml(release.cover.alt)}">
+                    <figcaption></figcaption>
+                </figure>
+
+                <div data-component="audio-player" data-release="${release.slug}"${master ? ' data-master' : ''}></div>
+
+                ${release.press.map(quote => this.renderPress(quote)).join('')}
+
+                ${release.gallery.length ? this.renderGallery(release.gallery) : ''}
+            </article>
+        `;
+    }
+
+    renderPress(quote) {
+        const paragraphs = quote.text.map(text => escapeHtml(text));
+        paragraphs[0] = '&quot;' + paragraphs[0];
+        paragraphs[paragraphs.length - 1] += '&quot;';
+        return paragraphs.map(text => `<p>${text}</p>`).join('') +
+            `<p>-${escapeHtml(quote.source)}</p>`;
+    }
+
+    renderGallery(gallery) {
+        return `
+            <div class="carousel" data-component="carousel">
+                <div class="carousel-track">
+                    ${gallery.map(image => `<figure><img loading="lazy" src="${image.src}" alt="${escapeHtml(image.alt)}"></figure>`).join('')}
+                </div>
+                <div class="carousel-nav">
+                    <button class="carousel-prev">&larr;</button>
+                    <span class="carousel-counter">1 / ${gallery.length}</span>
+                    <button class="carousel-next">&rarr;</button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Catalog;
+} else {
+    // Global singleton
+    window.catalog = new Catalog();
+}
@@ -0,0 +1,90 @@
+/**
+ * Component Registry
+ * Hydrates page partials declaratively instead of running inline scripts.
+ *
+ * Pages mark elements with data-component and pass props as data attributes:
+ *   <div data-component="audio-player" data-release="delible"></div>
+ *
+ * Usage:
+ *   components.define('audio-player', (el, props) => new AudioPlayer(...))
+ *   components.mount(contentEl)     // after Router.loadPage
+ *   components.unmountAll()         // before the next navigation
+ *
+ * A factory may return an instance (optionally with destroy()) or a
+ * promise of one. Components that render markup can call mount() on
+ * their own element to hydrate nested components.
+ */
+
+class ComponentRegistry {
+    constructor() {
+        this.factories = {};
+        this.mounted = new Map();   // element -> {name, instance, destroyed}
+    }
+
+    define(name, factory) {
+        this.factories[name] = factory;
+    }
+
+    /**
+     * Mount every unmounted component inside root
+     */
+    mount(root) {
+        root.querySelectorAll('[data-component]').forEach(el => {
+            if (this.mounted.has(el)) return;
+
+            const name = el.dataset.component;
+            const factory = this.factories[name];
+            if (!factory) {
+                console.error(`Unknown component: ${name}`);
+                return;
+            }
+
+            const { component, ...props } = el.dataset;
+            const entry = { name, instance: null, destroyed: false };
+            this.mounted.set(el, entry);
+
+            try {
+                const result = factory(el, props);
+                if (result && typeof result.then === 'function') {
+                    result.then(instance => {
+                        entry.instance = instance;
+                        // Navigated away before the component finished mounting
+                        if (entry.destroyed) this.destroyInstance(entry);
+                    }).catch(error => {
+                        console.error(`Component error (${name}):`, error);
+                    });
+                } else {
+                    entry.instance = result;
+                }
+            } catch (error) {
+                console.error(`Component error (${name}):`, error);
+            }
+        });
+    }
+
+    /**
+     * Destroy all mounted components, most recently mounted first
+     */
+    unmountAll() {
+        const entries = Array.from(this.mounted.values()).reverse();
+        this.mounted.clear();
+        entries.forEach(entry => {
+            entry.destroyed = true;
+            this.destroyInstance(entry);
+        });
+    }
+
+    destroyInstance(entry) {
+        if (entry.instance && typeof entry.instance.destroy === 'function') {
+            try {
+                entry.instance.destroy();
+            } catch (error) {
+                console.error(`Component destroy error (${entry.name}):`, error);
+            }
+        }
+        entry.instance = null;
+    }
+}
+
+// Global singleton
+window.components = new ComponentRegistry();
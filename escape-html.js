@@ -0,0 +1,20 @@
+/**
+ * HTML Escaping
+ * Escapes text for use in markup and attribute values. Shared by
+ * everything that builds HTML from catalog or page data.
+ *
+ * A global function in the browser; module.exports in Node, for the
+ * build scripts.
+ */
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = escapeHtml;
+}
@@ -0,0 +1,112 @@
+/**
+ * Keyboard Shortcuts
+ * Site-wide playback keys wired to AudioManager. Keys typed into form
+ * fields (contact and subscribe forms) are left alone, as are keys that a
+ * focused carousel or open lightbox has already handled.
+ *
+ *   Space        play / pause
+ *   J / L        back / forward 10 seconds
+ *   ← / →        back / forward 5 seconds
+ *   P / N        previous / next track
+ *   M            mute
+ *   ?            show these shortcuts
+ *
+ * Usage: new KeyboardShortcuts()
+ */
+
+class KeyboardShortcuts {
+    constructor(options = {}) {
+        this.manager = options.manager || window.audioManager;
+        this.helpEl = null;
+
+        this.shortcuts = [
+            { keys: [' '], label: 'Space', description: 'Play / pause', action: () => this.manager.togglePlay() },
+            { keys: ['j'], label: 'J', description: 'Back 10 seconds', action: () => this.manager.seekBy(-10) },
+            { keys: ['l'], label: 'L', description: 'Forward 10 seconds', action: () => this.manager.seekBy(10) },
+            { keys: ['ArrowLeft'], label: '&larr;', description: 'Back 5 seconds', action: () => this.manager.seekBy(-5) },
+            { keys: ['ArrowRight'], label: '&rarr;', description: 'Forward 5 seconds', action: () => this.manager.seekBy(5) },
+            { keys: ['p'], label: 'P', description: 'Previous track', action: () => this.manager.previous() },
+            { keys: ['n'], label: 'N', description: 'Next track', action: () => this.manager.next() },
+            { keys: ['m'], label: 'M', description: 'Mute / unmute', action: () => this.manager.toggleMute() },
+            { keys: ['?'], label: '?', description: 'Show keyboard shortcuts', action: () => this.toggleHelp() }
+        ];
+
+        this._onKeyDown = (e) => this.handleKeyDown(e);
+        document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    handleKeyDown(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (this.helpEl && e.key === 'Escape') {
+            this.toggleHelp(false);
+            return;
+        }
+
+        if (this.isTyping(e.target)) return;
+
+        // The lightbox owns the arrow keys while it is open
+        if (document.body.classList.contains('lightbox-open')) return;
+
+        // Space on a focused button or link activates it instead
+        if (e.key === ' ' && e.target.closest && e.target.closest('button, a, [role="button"]')) return;
+
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        const shortcut = this.shortcuts.find(s => s.keys.includes(key));
+        if (!shortcut) return;
+
+        e.preventDefault();
+        shortcut.action();
+    }
+
+    /**
+     * True for form fields and editable content
+     */
+    isTyping(target) {
+        if (!target || !target.closest) return false;
+        return !!target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+    }
+
+    toggleHelp(open = !this.helpEl) {
+        if (!open) {
+            if (this.helpEl) {
+                this.helpEl.remove();
+                this.helpEl = null;
+                if (this._returnFocus) this._returnFocus.focus();
+            }
+            return;
+        }
+        if (this.helpEl) return;
+
+        this._returnFocus = document.activeElement;
+        this.helpEl = document.createElement('div');
+        this.helpEl.className = 'shortcuts-help';
+        this.helpEl.setAttribute('role', 'dialog');
+        this.helpEl.setAttribute('aria-modal', 'true');
+        this.helpEl.setAttribute('aria-label', 'Keyboard shortcuts');
+        this.helpEl.innerHTML = `
+            <div class="shortcuts-help-panel">
+                <button class="shortcuts-help-close" aria-label="Close">&times;</button>
+                <h2>Keyboard shortcuts</h2>
+                <dl>
+                    ${this.shortcuts.map(s => `<dt><kbd>${s.label}</kbd></dt><dd>${s.description}</dd>`).join('')}
+                </dl>
+            </div>
+        `;
+
+        // Backdrop or close button dismisses
+        this.helpEl.addEventListener('click', (e) => {
+            if (e.target === this.helpEl || e.target.closest('.shortcuts-help-close')) {
+                this.toggleHelp(false);
+            }
+        });
+
+        document.body.appendChild(this.helpEl);
+        this.helpEl.querySelector('.shortcuts-help-close').focus();
+    }
+
+    destroy() {
+        this.toggleHelp(false);
+        document.removeEventListener('keydown', this._onKeyDown);
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Page Metadata
+ * Keeps <head> in sync with the current page: title, meta description,
+ * canonical URL, Open Graph / Twitter tags and JSON-LD structured data.
+ *
+ * Partials declare their metadata in an inert JSON block which the Router
+ * reads on navigation:
+ *   <script type="application/json" data-page-meta>
+ *     { "title": "About", "description": "..." }
+ *   </script>
+ *
+ * meta = {
+ *   title: 'About',                 // Shown as "About | Limited Interest"
+ *   description: '...',
+ *   image: '/assets/cover.webp',    // og:image, made absolute
+ *   path: '/about',                 // Canonical path, defaults to location
+ *   type: 'website',                // og:type
+ *   robots: 'noindex',
+ *   jsonLd: { '@type': 'MusicAlbum', ... }
+ * }
+ *
+ * Also loadable from Node (module.exports) so build scripts can render the
+ * same tags statically with renderHead().
+ */
+
+// escapeHtml() is a browser global; build scripts load it in Node
+if (typeof module !== 'undefined' && module.exports) {
+    global.escapeHtml = require('./escape-html.js');
+}
+
+class PageMeta {
+    constructor(defaults = {}) {
+        this.siteName = defaults.siteName || 'Limited Interest';
+        this.origin = defaults.origin || 'https://limited-interest.com';
+        this.description = defaults.description ||
+            'Small run experimental / electronic tape releases, dubbed in-house on chrome cassettes. Los Angeles, CA. 2014-2017.';
+        this.image = defaults.image || '/assets/2016-10-15.webp';
+    }
+
+    /**
+     * Fill in defaults and make URLs absolute
+     */
+    resolve(meta = {}) {
+        const path = meta.path || (typeof window !== 'undefined' ? window.location.pathname : '/');
+        return {
+            title: meta.title ? `${meta.title} | ${this.siteName}` : this.siteName,
+            description: meta.description || this.description,
+            image: this.absoluteUrl(meta.image || this.image),
+            url: this.absoluteUrl(path),
+            type: meta.type || 'website',
+            robots: meta.robots || null,
+            jsonLd: meta.jsonLd || null
+        };
+    }
+
+    absoluteUrl(path) {
+        return /^https?:/.test(path) ? path : this.origin + path;
+    }
+
+    /**
+     * Tags as [element, key attribute, key, value attribute, value]
+     */
+    getTags(resolved) {
+        const tags = [
+            ['meta', 'name', 'description', 'content', resolved.description],
+            ['meta', 'property', 'og:site_name', 'content', this.siteName],
+            ['meta', 'property', 'og:title', 'content', resolved.title],
+            ['meta', 'property', 'og:description', 'content', resolved.description],
+            ['meta', 'property', 'og:type', 'content', resolved.type],
+            ['meta', 'property', 'og:url', 'content', resolved.url],
+            ['meta', 'property', 'og:image', 'content', resolved.image],
+            ['meta', 'name', 'twitter:card', 'content', 'summary_large_image'],
+            ['link', 'rel', 'canonical', 'href', resolved.url]
+        ];
+        if (resolved.robots) {
+            tags.push(['meta', 'name', 'robots', 'content', resolved.robots]);
+        }
+        return tags;
+    }
+
+    /**
+     * Update document.head for the current page
+     */
+    set(meta = {}) {
+        const resolved = this.resolve(meta);
+        document.title = resolved.title;
+
+        // Robots is only present on pages that ask for it
+        const robots = document.head.querySelector('meta[name="robots"]');
+        if (robots && !resolved.robots) robots.remove();
+
+        this.getTags(resolved).forEach(([tag, keyAttr, key, valueAttr, value]) => {
+            let el = document.head.querySelector(`${tag}[${keyAttr}="${key}"]`);
+            if (!el) {
+                el = document.createElement(tag);
+                el.setAttribute(keyAttr, key);
+                document.head.appendChild(el);
+            }
+            el.setAttribute(valueAttr, value);
+        });
+
+        let jsonLdEl = document.getElementById('page-jsonld');
+        if (resolved.jsonLd) {
+            if (!jsonLdEl) {
+                jsonLdEl = document.createElement('script');
+                jsonLdEl.type = 'application/ld+json';
+                jsonLdEl.id = 'page-jsonld';
+                document.head.appendChild(jsonLdEl);
+            }
+            jsonLdEl.textContent = JSON.stringify(resolved.jsonLd);
+        } else if (jsonLdEl) {
+            jsonLdEl.remove();
+        }
+    }
+
+    /**
+     * Static <head> markup for crawlers and pre-rendered pages
+     */
+    renderHead(meta = {}) {
+        const resolved = this.resolve(meta);
+        const lines = [`<title>${escapeHtml(resolved.title)}</title>`];
+
+        this.getTags(resolved).forEach(([tag, keyAttr, key, valueAttr, value]) => {
+            lines.push(`<${tag} ${keyAttr}="${key}" ${valueAttr}="${escapeHtml(value)}">`);
+        });
+
+        if (resolved.jsonLd) {
+            // Keep "</script>" inside strings from closing the tag
+            const json = JSON.stringify(resolved.jsonLd).replace(/</g, '\\u003c');
+            lines.push(`<script type="application/ld+json" id="page-jsonld">${json}</script>`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageMeta;
+} else {
+    // Global singleton
+    window.pageMeta = new PageMeta();
+}
@@ -0,0 +1,144 @@
+/**
+ * Queue View
+ * Lists AudioManager's user queue with play, remove and clear actions.
+ * Rows are reordered by dragging their handle (pointer events, so touch
+ * works too) or by focusing the handle and using the arrow keys.
+ *
+ * Usage: new QueueView(containerElement)
+ */
+
+class QueueView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.manager = options.manager || window.audioManager;
+        this._drag = null;          // {item, from} while a row is being dragged
+
+        this.bindEvents();
+        this._unsubscribe = this.manager.addQueueListener(() => this.render());
+        this.render();
+    }
+
+    render() {
+        // Re-rendered once the drag ends
+        if (this._drag) return;
+
+        const queue = this.manager.getQueue();
+        this.container.classList.toggle('empty', queue.length === 0);
+        if (queue.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="queue-header">
+                <span>Up next</span>
+                <button type="button" class="queue-clear">Clear</button>
+            </div>
+            <ol class="queue-list">
+                ${queue.map(entry => `<li class="queue-item" data-id="${entry.id}">
+                    <button type="button" class="queue-handle" aria-label="Reorder (arrow keys)">&#8801;</button>
+                    <span class="track-info">${this.formatEntry(entry)}</span>
+                    <button type="button" class="queue-remove" aria-label="Remove from queue">&times;</button>
+                </li>`).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * "{artist} - {title} - {playlist}", as in the transport dropdown,
+     * escaped for innerHTML
+     */
+    formatEntry(entry) {
+        const parts = [];
+        if (entry.artist) parts.push(entry.artist);
+        parts.push(entry.track.title);
+        parts.push(entry.name);
+        return escapeHtml(parts.join(' - '));
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('.queue-clear')) {
+                this.manager.clearQueue();
+                return;
+            }
+
+            const item = e.target.closest('.queue-item');
+            if (!item) return;
+            const id = parseInt(item.dataset.id);
+
+            if (e.target.closest('.queue-remove')) {
+                this.manager.removeFromQueue(id);
+            } else if (e.target.closest('.track-info')) {
+                this.manager.playFromQueue(id);
+            }
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            const handle = e.target.closest('.queue-handle');
+            if (!handle || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+            e.preventDefault();
+            const item = handle.closest('.queue-item');
+            const from = this.getPosition(item);
+            this.manager.moveInQueue(from, from + (e.key === 'ArrowUp' ? -1 : 1));
+            this.focusHandle(item.dataset.id);
+        });
+
+        this.container.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.queue-handle');
+            if (!handle || e.button > 0) return;
+
+            e.preventDefault();
+            handle.setPointerCapture(e.pointerId);
+            const item = handle.closest('.queue-item');
+            this._drag = { item, from: this.getPosition(item) };
+            item.classList.add('dragging');
+        });
+
+        this.container.addEventListener('pointermove', (e) => {
+            if (!this._drag) return;
+
+            // Slot the row in before the first sibling whose midpoint is below the pointer
+            const { item } = this._drag;
+            const list = item.parentElement;
+            const before = Array.from(list.children).find(el => {
+                if (el === item) return false;
+                const rect = el.getBoundingClientRect();
+                return e.clientY < rect.top + rect.height / 2;
+            });
+            if (before !== item.nextElementSibling) list.insertBefore(item, before || null);
+        });
+
+        const endDrag = () => {
+            if (!this._drag) return;
+
+            const { item, from } = this._drag;
+            const to = this.getPosition(item);
+            this._drag = null;
+            item.classList.remove('dragging');
+
+            if (to !== from) {
+                this.manager.moveInQueue(from, to);
+            } else {
+                this.render();
+            }
+        };
+        this.container.addEventListener('pointerup', endDrag);
+        this.container.addEventListener('pointercancel', endDrag);
+    }
+
+    getPosition(item) {
+        return Array.from(item.parentElement.children).indexOf(item);
+    }
+
+    focusHandle(id) {
+        const handle = this.container.querySelector(`.queue-item[data-id="${id}"] .queue-handle`);
+        if (handle) handle.focus();
+    }
+
+    destroy() {
+        if (this._unsubscribe) this._unsubscribe();
+        this.container.innerHTML = '';
+    }
+}
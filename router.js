@@ -1,6 +1,13 @@
 /**
  * Simple SPA Router
  * Intercepts link clicks, fetches content partials, updates the page
+ *
+ * URLs are mapped to partials by a route table:
+ *   routes = [
+ *     { path: '/', page: 'home' },
+ *     { path: '/releases/:slug', page: 'releases/:slug' },
+ *     { path: '/releases/:slug.html', redirect: '/releases/:slug' }
+ *   ]
  */
 
 class Router {
@@ -8,83 +15,457 @@ class Router {
         this.contentEl = contentEl;
         this.basePath = options.basePath || '/pages';
         this.defaultPage = options.defaultPage || 'home';
-        this.onNavigate = options.onNavigate || (() => {});
+        this.notFoundPage = options.notFoundPage || '404';  // Unmatched paths and missing partials
+        this.errorPage = options.errorPage || 'error';      // Failed fetches; [data-router-retry] retries
+        this.routes = this.compileRoutes(options.routes || [
+            // Legacy behaviour: /{name}.html -> {basePath}/{name}.html
+            { path: '/', page: this.defaultPage },
+            { path: '/index.html', redirect: '/' },
+            { path: '/:page.html', page: ':page' },
+            { path: '/:section/:page.html', page: ':section/:page' }
+        ]);
+        this.onBeforeNavigate = options.onBeforeNavigate || (() => {});
+        this.onNavigate = options.onNavigate || (() => {});   // (pageName, contentEl, params, url)
+        this.shouldReload = options.shouldReload || (() => false);
+        this.pageMeta = options.pageMeta || null;
+        this.version = options.version || null;     // e.g. the deployed commit, to bust cached partials
+        this.cacheSize = options.cacheSize || 20;
+        this.transitions = options.transitions !== false;
+        this.loadingDelay = options.loadingDelay ?? 150;
+
+        this.cache = new Map();     // pagePath -> html, in least-recently-used order
+        this.inflight = new Map();  // pagePath -> pending fetch promise
+        this.currentPage = null;
+        this.failedPath = null;
+        this.errorHtml = null;
+        this.navigationController = null;
+        this.loadingTimer = null;
 
         this.init();
     }
 
     init() {
+        this.loadingEl = document.createElement('div');
+        this.loadingEl.className = 'page-loading';
+        this.loadingEl.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.loadingEl);
+
+        // We restore scroll ourselves once the partial has rendered
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
         // Handle link clicks
         document.addEventListener('click', (e) => {
             const link = e.target.closest('a');
             if (!link) return;
 
             const href = link.getAttribute('href');
-            if (!href || href.startsWith('http') || href.startsWith('#') || href.startsWith('mailto:')) return;
+            if (!this.isInternalLink(href)) return;
 
             e.preventDefault();
             this.navigate(href);
         });
 
+        // Retry button on the error page
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-router-retry]') || !this.failedPath) return;
+            this.loadPage(this.failedPath, false);
+        });
+
+        // Keep the error page around so it can be shown while offline
+        this.fetchPage(this.getPagePath(this.errorPage))
+            .then(response => {
+                if (response.ok) this.errorHtml = response.html;
+            })
+            .catch(() => {});
+
+        // Prefetch on hover/focus
+        const prefetchLink = (e) => {
+            const link = e.target.closest && e.target.closest('a');
+            if (link) this.prefetch(link.getAttribute('href'));
+        };
+        document.addEventListener('mouseover', prefetchLink);
+        document.addEventListener('focusin', prefetchLink);
+
+        // Prefetch links as they scroll into view
+        if ('IntersectionObserver' in window) {
+            this.linkObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.linkObserver.unobserve(entry.target);
+                    this.prefetch(entry.target.getAttribute('href'));
+                });
+            });
+        }
+
+        // Keep the current entry's scroll position up to date so it can be
+        // restored when the user comes back to it
+        let scrollTimer = null;
+        window.addEventListener('scroll', () => {
+            clearTimeout(scrollTimer);
+            scrollTimer = setTimeout(() => this.saveScrollPosition(), 100);
+        }, { passive: true });
+
         // Handle browser back/forward
-        window.addEventListener('popstate', () => {
-            this.loadPage(window.location.pathname, false);
+        window.addEventListener('popstate', (e) => {
+            const state = e.state || {};
+            const location = window.location.pathname + window.location.search + window.location.hash;
+
+            // Fragment-only change on the same page: just scroll
+            if (this.pathToPage(window.location.pathname) === this.currentPage &&
+                !this.shouldReload(new URL(window.location.href))) {
+                if (state.scrollY !== undefined) {
+                    window.scrollTo(0, state.scrollY);
+                } else {
+                    this.scrollToHash(window.location.hash);
+                }
+                return;
+            }
+
+            this.loadPage(location, false, { scrollY: state.scrollY });
         });
 
-        // Initial load
-        this.loadPage(window.location.pathname, false);
+        // Initial load, reusing pre-rendered content when the build provided it
+        const initialPath = window.location.pathname + window.location.search + window.location.hash;
+        const initialScrollY = window.history.state?.scrollY;
+        if (!this.hydrate(initialPath, initialScrollY)) {
+            this.loadPage(initialPath, false, { scrollY: initialScrollY });
+        }
     }
 
+    /**
+     * Adopt content pre-rendered by scripts/prerender.js instead of fetching
+     * the partial again. #content carries the path it was rendered for, so a
+     * page served for some other URL (e.g. 404.html) still loads normally.
+     * Head metadata and the active nav link are already in the markup.
+     */
+    hydrate(path, scrollY) {
+        const prerendered = this.contentEl.dataset.prerendered;
+        if (prerendered === undefined) return false;
+        delete this.contentEl.dataset.prerendered;
+
+        const url = new URL(path, window.location.href);
+        const resolved = this.resolve(url.pathname);
+        if (!resolved.pageName || resolved.pathname !== prerendered) return false;
+
+        if (resolved.pathname !== url.pathname) {
+            window.history.replaceState(window.history.state, '', resolved.pathname + url.search + url.hash);
+        }
+
+        this.currentPage = resolved.pageName;
+        this.onNavigate(this.currentPage, this.contentEl, resolved.params, url);
+        this.scrollAfterLoad(url.hash, scrollY);
+        requestAnimationFrame(() => this.observeLinks());
+        return true;
+    }
+
+    /**
+     * Same-page fragment links just scroll, unless options.shouldReload(url)
+     * says the page must see the new URL (e.g. a #t=3&at=80 deep link)
+     */
     navigate(path) {
+        const url = new URL(path, window.location.href);
+
+        // Same-page fragment link: scroll without reloading the partial
+        if (url.hash && this.pathToPage(url.pathname) === this.currentPage && !this.shouldReload(url)) {
+            this.saveScrollPosition();
+            window.history.pushState({}, '', url.pathname + url.search + url.hash);
+            this.scrollToHash(url.hash);
+            return;
+        }
+
+        this.saveScrollPosition();
         this.loadPage(path, true);
     }
 
-    async loadPage(path, pushState = true) {
+    /**
+     * Keep the scroll position in history state for back/forward
+     */
+    saveScrollPosition() {
+        const state = window.history.state || {};
+        window.history.replaceState({ ...state, scrollY: window.scrollY }, '');
+    }
+
+    /**
+     * Restore position on back/forward, else jump to fragment or top
+     */
+    scrollAfterLoad(hash, scrollY) {
+        if (scrollY !== undefined) {
+            this.restoreScroll(scrollY);
+        } else if (hash) {
+            window.scrollTo(0, 0);
+            this.scrollToHash(hash);
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+
+    /**
+     * Restore a scroll position once the page is tall enough to reach it
+     * Components render asynchronously, so retry for a short while
+     */
+    restoreScroll(scrollY, attempts = 30) {
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+        if (maxScroll >= scrollY || attempts <= 0) {
+            window.scrollTo(0, scrollY);
+            return;
+        }
+        requestAnimationFrame(() => this.restoreScroll(scrollY, attempts - 1));
+    }
+
+    /**
+     * Scroll to the element a fragment points at, waiting for it to render
+     */
+    scrollToHash(hash, attempts = 30) {
+        const id = decodeURIComponent(hash.replace(/^#/, ''));
+        if (!id) return;
+
+        const target = document.getElementById(id);
+        if (target) {
+            target.scrollIntoView();
+            return;
+        }
+        if (attempts > 0) {
+            requestAnimationFrame(() => this.scrollToHash(hash, attempts - 1));
+        }
+    }
+
+    isInternalLink(href) {
+        return !!href && !href.startsWith('http') && !href.startsWith('#') && !href.startsWith('mailto:');
+    }
+
+    getPagePath(pageName) {
+        const pagePath = `${this.basePath}/${pageName}.html`;
+        return this.version ? `${pagePath}?v=${encodeURIComponent(this.version)}` : pagePath;
+    }
+
+    /**
+     * Fetch a partial, serving from cache when possible
+     * Resolves to {ok, status, html}; only successful responses are cached.
+     * A signal only aborts the request if this call started it, so a
+     * superseded navigation never cancels a shared prefetch.
+     */
+    fetchPage(pagePath, signal) {
+        if (this.cache.has(pagePath)) {
+            const html = this.cache.get(pagePath);
+            // Move to most-recently-used
+            this.cache.delete(pagePath);
+            this.cache.set(pagePath, html);
+            return Promise.resolve({ ok: true, status: 200, html });
+        }
+
+        if (this.inflight.has(pagePath)) {
+            return this.inflight.get(pagePath);
+        }
+
+        const request = fetch(pagePath, signal ? { signal } : undefined)
+            .then(async response => {
+                const html = response.ok ? await response.text() : '';
+                if (response.ok) this.cachePage(pagePath, html);
+                return { ok: response.ok, status: response.status, html };
+            })
+            .finally(() => this.inflight.delete(pagePath));
+
+        this.inflight.set(pagePath, request);
+
+        // An aborted request must not be reused by the navigation replacing it
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (this.inflight.get(pagePath) === request) this.inflight.delete(pagePath);
+            });
+        }
+
+        return request;
+    }
+
+    cachePage(pagePath, html) {
+        this.cache.set(pagePath, html);
+        while (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop all cached partials (e.g. after detecting a new deploy)
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Fetch a partial ahead of time, when its link is hovered, focused or
+     * scrolled into view
+     */
+    prefetch(href) {
+        if (!this.isInternalLink(href)) return;
+        // Respect data saver
+        if (navigator.connection && navigator.connection.saveData) return;
+
+        const pageName = this.pathToPage(href);
+        if (!pageName) return;
+
+        const pagePath = this.getPagePath(pageName);
+        if (this.cache.has(pagePath) || this.inflight.has(pagePath)) return;
+
+        this.fetchPage(pagePath).catch(() => {
+            // Prefetch failures are retried on real navigation
+        });
+    }
+
+    /**
+     * Watch internal links on the page so they prefetch when visible
+     */
+    observeLinks() {
+        if (!this.linkObserver) return;
+        this.linkObserver.disconnect();
+        document.querySelectorAll('a[href]').forEach(link => {
+            if (this.isInternalLink(link.getAttribute('href'))) {
+                this.linkObserver.observe(link);
+            }
+        });
+    }
+
+    /**
+     * Starting a navigation aborts any still in flight, so a slow response
+     * can never overwrite a newer page
+     */
+    async loadPage(path, pushState = true, options = {}) {
         // Normalize path
-        let pageName = this.pathToPage(path);
-        let pagePath = `${this.basePath}/${pageName}.html`;
+        const url = new URL(path, window.location.href);
+        const resolved = this.resolve(url.pathname);
+        const pageName = resolved.pageName;
+        const displayPath = resolved.pathname + url.search + url.hash;
+
+        // Legacy URLs on first load or back/forward: show the canonical URL
+        if (!pushState && resolved.pathname !== url.pathname) {
+            window.history.replaceState(window.history.state, '', displayPath);
+        }
+
+        // Supersede any navigation still in flight
+        if (this.navigationController) this.navigationController.abort();
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.navigationController = controller;
+        this.startLoading();
 
         try {
-            const response = await fetch(pagePath);
+            const response = pageName
+                ? await this.fetchPage(this.getPagePath(pageName), signal)
+                : { ok: false, status: 404 };
+            if (signal.aborted) return;
+
             if (!response.ok) {
-                const notFound = await fetch(`${this.basePath}/404.html`);
-                if (notFound.ok) {
-                    this.contentEl.innerHTML = await notFound.text();
-                } else {
-                    this.contentEl.innerHTML = '<h1>Page not found</h1>';
-                }
-                return;
+                const notFound = await this.fetchPage(this.getPagePath(this.notFoundPage), signal);
+                if (signal.aborted) return;
+                await this.setContent(notFound.ok ? notFound.html : '<h1>Page not found</h1>');
+            } else {
+                await this.setContent(response.html);
             }
-
-            const html = await response.text();
-            this.contentEl.innerHTML = html;
+            if (signal.aborted) return;
+            this.currentPage = response.ok ? pageName : null;
+            this.failedPath = null;
 
             // Update URL
             if (pushState) {
-                const displayPath = pageName === this.defaultPage ? '/' : `/${pageName}.html`;
                 window.history.pushState({}, '', displayPath);
             }
 
-            // Update page title
-            const titleEl = this.contentEl.querySelector('h1');
-            if (titleEl) {
-                document.title = titleEl.textContent + ' | Limited Interest';
-            } else {
-                document.title = 'Limited Interest';
-            }
-
-            // Scroll to top
-            window.scrollTo(0, 0);
+            // Update page title and head metadata
+            this.updateHead(resolved.pathname);
 
             // Update active nav link
-            this.updateActiveNav(pageName);
+            this.updateActiveNav(this.currentPage);
 
             // Callback for post-navigation setup
-            this.onNavigate(pageName, this.contentEl);
+            this.onNavigate(this.currentPage || this.notFoundPage, this.contentEl, resolved.params, url);
+
+            this.scrollAfterLoad(url.hash, options.scrollY);
+
+            // Prefetch links as they appear, after components have rendered
+            requestAnimationFrame(() => this.observeLinks());
 
         } catch (error) {
+            if (signal.aborted) return;
             console.error('Router error:', error);
-            this.contentEl.innerHTML = '<h1>Error loading page</h1>';
+            this.currentPage = null;
+            this.failedPath = displayPath;
+            if (pushState) {
+                window.history.pushState({}, '', displayPath);
+            }
+            await this.setContent(this.errorHtml ||
+                '<h1>Error loading page</h1><p><button type="button" class="retry-btn" data-router-retry>Try again</button></p>');
+            this.updateHead(resolved.pathname);
+        } finally {
+            if (this.navigationController === controller) {
+                this.navigationController = null;
+                this.stopLoading();
+            }
+        }
+    }
+
+    /**
+     * Show the loading bar, but only if the load isn't near-instant
+     */
+    startLoading() {
+        clearTimeout(this.loadingTimer);
+        this.contentEl.setAttribute('aria-busy', 'true');
+        this.loadingTimer = setTimeout(() => {
+            this.loadingEl.classList.add('visible');
+        }, this.loadingDelay);
+    }
+
+    stopLoading() {
+        clearTimeout(this.loadingTimer);
+        this.contentEl.removeAttribute('aria-busy');
+        this.loadingEl.classList.remove('visible');
+    }
+
+    /**
+     * Replace page content, giving the current page a chance to tear down first
+     * Cross-fades with a view transition when supported; resolves once the
+     * new content is in the DOM
+     */
+    async setContent(html) {
+        const swap = () => {
+            this.onBeforeNavigate(this.contentEl);
+            this.contentEl.innerHTML = html;
+        };
+
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (!this.transitions || reduceMotion || !document.startViewTransition) {
+            swap();
+            return;
+        }
+
+        await document.startViewTransition(swap).updateCallbackDone;
+    }
+
+    /**
+     * Apply the partial's data-page-meta block to <head>
+     * Falls back to the first h1 for the title
+     */
+    updateHead(path) {
+        let meta = {};
+        const metaEl = this.contentEl.querySelector('script[type="application/json"][data-page-meta]');
+        if (metaEl) {
+            try {
+                meta = JSON.parse(metaEl.textContent);
+            } catch (error) {
+                console.error('Invalid page meta:', error);
+            }
+            metaEl.remove();
+        }
+
+        if (!meta.title) {
+            const titleEl = this.contentEl.querySelector('h1');
+            if (titleEl) meta.title = titleEl.textContent;
+        }
+
+        if (this.pageMeta) {
+            this.pageMeta.set({ ...meta, path });
+        } else {
+            document.title = meta.title ? meta.title + ' | Limited Interest' : 'Limited Interest';
         }
     }
 
@@ -92,20 +473,101 @@ class Router {
         const navLinks = document.querySelectorAll('nav a');
         navLinks.forEach(link => {
             const linkPage = this.pathToPage(link.getAttribute('href'));
-            const isActive = pageName === linkPage || pageName.startsWith(linkPage + '/');
-            link.classList.toggle('active', isActive);
+            link.classList.toggle('active', Router.isNavActive(pageName, linkPage));
         });
     }
 
-    pathToPage(path) {
-        if (path === '/' || path === '') return this.defaultPage;
+    /**
+     * A nav link is active on its own page and on pages nested under it
+     */
+    static isNavActive(pageName, linkPage) {
+        return !!pageName && !!linkPage &&
+            (pageName === linkPage || pageName.startsWith(linkPage + '/'));
+    }
 
-        // Remove leading slash and .html extension
-        let page = path.replace(/^\//, '').replace(/\.html$/, '');
+    /**
+     * Turn route paths into regexes, collecting :param names
+     */
+    compileRoutes(routes) {
+        return routes.map(route => {
+            const keys = [];
+            const pattern = route.path
+                .replace(/[.+*?^${}()|[\]\\]/g, '\\$&')
+                .replace(/:(\w+)/g, (_, key) => {
+                    keys.push(key);
+                    return '([^/]+?)';
+                });
+            return { ...route, keys, regex: new RegExp(`^${pattern}$`) };
+        });
+    }
 
-        // Handle index
-        if (page === 'index' || page === '') return this.defaultPage;
+    /**
+     * First route matching a path, with its decoded params. Params that
+     * decode to a path (%2F, ..) or fail to decode don't match, so they
+     * can't reach whatever the page builds from them.
+     */
+    matchRoute(pathname) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (!match) continue;
 
-        return page;
+            const params = {};
+            const valid = route.keys.every((key, i) => {
+                params[key] = this.decodeParam(match[i + 1]);
+                return params[key] !== null;
+            });
+            if (valid) return { route, params };
+        }
+        return null;
     }
+
+    decodeParam(value) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(value);
+        } catch (e) {
+            return null;    // Malformed escape such as %E0
+        }
+        return /[/\\]/.test(decoded) || decoded.includes('..') ? null : decoded;
+    }
+
+    /**
+     * Resolve a path to {pathname, pageName, params}, following redirects
+     * pathname is the canonical URL; pageName is null when nothing matches
+     */
+    resolve(path) {
+        // Ignore query string, fragment and trailing slashes
+        let pathname = path.split(/[?#]/)[0] || '/';
+        if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+
+        const interpolate = (template, params) =>
+            template.replace(/:(\w+)/g, (_, key) => params[key] ?? '');
+
+        // Bounded to guard against redirect loops in the table
+        for (let i = 0; i < 10; i++) {
+            const match = this.matchRoute(pathname);
+            if (!match) break;
+
+            if (match.route.redirect) {
+                pathname = interpolate(match.route.redirect, match.params);
+                continue;
+            }
+
+            return {
+                pathname,
+                pageName: interpolate(match.route.page, match.params),
+                params: match.params
+            };
+        }
+
+        return { pathname, pageName: null, params: {} };
+    }
+
+    pathToPage(path) {
+        return this.resolve(path).pageName;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
 }
@@ -0,0 +1,25 @@
+/**
+ * Route Table
+ * Maps URLs to page partials for the Router. Shared with the pre-render
+ * build (scripts/prerender.js) so static pages resolve the same way.
+ */
+
+const ROUTES = [
+    // Legacy .html URLs, ahead of /releases/:slug since the first match wins
+    { path: '/index.html', redirect: '/' },
+    { path: '/home', redirect: '/' },
+    { path: '/releases.html', redirect: '/releases' },
+    { path: '/releases/:slug.html', redirect: '/releases/:slug' },
+    { path: '/about.html', redirect: '/about' },
+
+    { path: '/', page: 'home' },
+    { path: '/releases', page: 'releases' },
+    { path: '/releases/:slug', page: 'releases/:slug' },
+    { path: '/about', page: 'about' }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ROUTES;
+} else {
+    window.routes = ROUTES;
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Static <head> snippets for crawlers
+ * Renders the same title, meta, Open Graph and JSON-LD tags that PageMeta
+ * applies in the browser, one file per route.
+ *
+ * Usage: node scripts/head-snippets.js [outDir]   (default: build/head)
+ *
+ *   build/head/index.html            -> /
+ *   build/head/releases.html         -> /releases
+ *   build/head/releases/delible.html -> /releases/delible
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PageMeta = require('../page-meta.js');
+const Catalog = require('../catalog.js');
+
+const ROOT = path.join(__dirname, '..');
+const PAGES_DIR = path.join(ROOT, 'pages');
+
+// Partials that are not routes of their own
+const SKIP_PAGES = ['404', 'error'];
+
+/**
+ * Read a partial's data-page-meta block, falling back to its first h1
+ */
+function readPageMeta(html) {
+    const match = html.match(/<script type="application\/json" data-page-meta>([\s\S]*?)<\/script>/);
+    const meta = match ? JSON.parse(match[1]) : {};
+    if (!meta.title) {
+        const h1 = html.match(/<h1>(.*?)<\/h1>/);
+        if (h1) meta.title = h1[1];
+    }
+    return meta;
+}
+
+/**
+ * Route path for a partial, matching the route table in routes.js
+ */
+function pageToPath(pageName) {
+    return pageName === 'home' ? '/' : `/${pageName}`;
+}
+
+/**
+ * Collect {path, pageName, meta, head} for every static partial and every release
+ */
+function collectPages() {
+    const pageMeta = new PageMeta();
+    const catalog = new Catalog();
+    catalog.releases = JSON.parse(fs.readFileSync(path.join(ROOT, 'releases.json'), 'utf8')).releases;
+
+    const pages = fs.readdirSync(PAGES_DIR)
+        .filter(file => file.endsWith('.html'))
+        .map(file => file.replace(/\.html$/, ''))
+        .filter(name => !SKIP_PAGES.includes(name))
+        .map(name => {
+            const html = fs.readFileSync(path.join(PAGES_DIR, `${name}.html`), 'utf8');
+            const routePath = pageToPath(name);
+            return { path: routePath, pageName: name, meta: { ...readPageMeta(html), path: routePath } };
+        });
+
+    catalog.releases.forEach(release => {
+        pages.push({
+            path: catalog.getHref(release),
+            pageName: `releases/${release.slug}`,
+            meta: catalog.getPageMeta(release, pageMeta.origin)
+        });
+    });
+
+    return pages.map(page => ({ ...page, head: pageMeta.renderHead(page.meta) }));
+}
+
+function main() {
+    const outDir = path.resolve(process.argv[2] || path.join(ROOT, 'build', 'head'));
+
+    collectPages().forEach(page => {
+        const file = page.path === '/' ? 'index.html' : `${page.path.slice(1)}.html`;
+        const outFile = path.join(outDir, file);
+        fs.mkdirSync(path.dirname(outFile), { recursive: true });
+        fs.writeFileSync(outFile, page.head + '\n');
+        console.log(`${page.path} -> ${path.relative(process.cwd(), outFile)}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { collectPages, readPageMeta, pageToPath };
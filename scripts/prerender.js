@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Static pre-render
+ * Builds a deployable copy of the site where every route is a complete
+ * HTML page: the index.html shell with the route's partial and catalog
+ * markup already in #content, its own <head> tags and the active nav link.
+ * Crawlers and no-JS visitors get real content; the Router hydrates it on
+ * first load instead of fetching the partial again.
+ *
+ * Usage: node scripts/prerender.js [outDir]   (default: build/site)
+ *
+ *   build/site/index.html                  -> /
+ *   build/site/releases/index.html         -> /releases
+ *   build/site/releases/delible/index.html -> /releases/delible
+ *   build/site/404.html                    -> unknown URLs
+ *
+ * Scripts, styles, releases.json and pages/ are copied alongside so the
+ * output directory can be synced as-is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PageMeta = require('../page-meta.js');
+const Catalog = require('../catalog.js');
+const Router = require('../router.js');
+const ROUTES = require('../routes.js');
+const { collectPages, readPageMeta } = require('./head-snippets.js');
+
+const ROOT = path.join(__dirname, '..');
+const PAGES_DIR = path.join(ROOT, 'pages');
+
+// Top-level files that make up the site, besides pages/
+const SITE_FILES = /\.(html|js|css|json)$/;
+
+// Components whose markup comes from the catalog
+const COMPONENT_PATTERN = /<div data-component="(release-feed|release-index|release)"([^>]*)><\/div>/g;
+
+/**
+ * A Router that only resolves paths, for use outside the browser
+ */
+function createResolver() {
+    const router = Object.create(Router.prototype);
+    router.routes = router.compileRoutes(ROUTES);
+    return router;
+}
+
+function loadCatalog() {
+    const catalog = new Catalog();
+    catalog.releases = JSON.parse(fs.readFileSync(path.join(ROOT, 'releases.json'), 'utf8')).releases;
+    return catalog;
+}
+
+/**
+ * Render a partial's catalog components in place and drop its meta block,
+ * which is already applied to <head>
+ */
+function renderContent(html, catalog) {
+    return html
+        .replace(/\s*<script type="application\/json" data-page-meta>[\s\S]*?<\/script>\s*/, '\n')
+        .replace(COMPONENT_PATTERN, (match, name, attrs) => {
+            const slug = (attrs.match(/data-release="([^"]+)"/) || [])[1];
+            let inner;
+            if (name === 'release-feed') inner = catalog.getFeedHtml();
+            else if (name === 'release-index') inner = catalog.getIndexHtml();
+            else inner = catalog.getReleaseHtml(slug);
+            return `<div data-component="${name}"${attrs} data-prerendered>${inner}</div>`;
+        });
+}
+
+/**
+ * Combine the index.html shell with a page's head, nav state and content
+ */
+function renderPage(shell, { head, pageName, content, prerenderedPath }, resolver) {
+    const indent = '    ';
+
+    return shell
+        // Replace the default title and social tags with the page's own
+        .replace(/^\s*<title>.*<\/title>\n/m, '')
+        .replace(/^\s*<meta (name="description"|property="og:[^"]*"|name="twitter:card")[^>]*>\n/gm, '')
+        .replace(/(<meta name="viewport"[^>]*>\n)/, (match) =>
+            match + head.split('\n').map(line => indent + line).join('\n') + '\n')
+        // Same rule as Router.updateActiveNav
+        .replace(/<nav>[\s\S]*?<\/nav>/, (nav) => nav.replace(/<a href="([^"]*)">/g, (match, href) =>
+            Router.isNavActive(pageName, resolver.pathToPage(href))
+                ? `<a href="${href}" class="active">`
+                : match))
+        // Content replaces the no-JS notice; the load error notice stays
+        .replace(/<main id="content">[\s\S]*?(<p id="js-error"[\s\S]*?<\/p>)\s*<\/main>/, (match, jsError) => {
+            const attr = prerenderedPath ? ` data-prerendered="${prerenderedPath}"` : '';
+            return `<main id="content"${attr}>\n${content.trim()}\n${indent}${indent}${jsError}\n${indent}</main>`;
+        });
+}
+
+function copySite(outDir) {
+    fs.readdirSync(ROOT, { withFileTypes: true })
+        .filter(entry => entry.isFile() && SITE_FILES.test(entry.name) && !entry.name.startsWith('.'))
+        .forEach(entry => fs.copyFileSync(path.join(ROOT, entry.name), path.join(outDir, entry.name)));
+    fs.cpSync(PAGES_DIR, path.join(outDir, 'pages'), { recursive: true });
+}
+
+function writeFile(outDir, file, html) {
+    const outFile = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, html);
+    return outFile;
+}
+
+function main() {
+    const outDir = path.resolve(process.argv[2] || path.join(ROOT, 'build', 'site'));
+    if (outDir === ROOT) {
+        console.error('Refusing to pre-render into the source directory');
+        process.exit(1);
+    }
+
+    const shell = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const catalog = loadCatalog();
+    const resolver = createResolver();
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+    copySite(outDir);
+
+    collectPages().forEach(page => {
+        const partial = fs.readFileSync(path.join(PAGES_DIR, `${page.pageName}.html`), 'utf8');
+        const html = renderPage(shell, {
+            head: page.head,
+            pageName: page.pageName,
+            content: renderContent(partial, catalog),
+            prerenderedPath: page.path
+        }, resolver);
+
+        const file = page.path === '/' ? 'index.html' : `${page.path.slice(1)}/index.html`;
+        const outFile = writeFile(outDir, file, html);
+        console.log(`${page.path} -> ${path.relative(process.cwd(), outFile)}`);
+    });
+
+    // Served for unknown URLs; not hydrated, so the Router loads whatever
+    // the URL actually points at
+    const notFound = fs.readFileSync(path.join(PAGES_DIR, '404.html'), 'utf8');
+    const outFile = writeFile(outDir, '404.html', renderPage(shell, {
+        head: new PageMeta().renderHead({ ...readPageMeta(notFound), path: '/404' }),
+        pageName: null,
+        content: renderContent(notFound, catalog),
+        prerenderedPath: null
+    }, resolver));
+    console.log(`404 -> ${path.relative(process.cwd(), outFile)}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { renderContent, renderPage };
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/**
+ * Waveform generation
+ * Decodes audio files locally and writes the peak JSON that
+ * AudioPlayer.loadWaveformJson fetches, so the browser never has to decode
+ * audio itself.
+ *
+ * Usage: node scripts/waveforms.js [options] [files or directories...]   (default: assets)
+ *
+ *   --resolution n       peaks per file (default 1000)
+ *   --resolutions a,b    extra resolutions, written as {name}.{n}.json
+ *   --stereo             also write left/right peaks as {name}.stereo.json
+ *   --out dir            output directory (default: waveforms/ beside each file);
+ *                        audio file names must then be unique
+ *   --force              regenerate files that are already up to date
+ *
+ *   assets/delible-001.mp3 -> assets/waveforms/delible-001.json
+ *
+ * {name}.json is a flat array of peaks normalised to 0-1, the format
+ * drawWaveform consumes; {name}.stereo.json is { left: [...], right: [...] }.
+ *
+ * WAV is decoded natively. MP3 and FLAC are decoded with ffmpeg, which must
+ * be on the PATH. Audio is streamed, so long files don't need to fit in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const AUDIO_EXTENSIONS = ['.wav', '.mp3', '.flac'];
+const DEFAULT_RESOLUTION = 1000;
+
+// Samples per peak block while decoding; resolutions are reduced from these
+const BLOCK_SIZE = 256;
+const CHUNK_SIZE = 1 << 20;
+
+/**
+ * Collects the absolute peak of every BLOCK_SIZE frames, per channel
+ */
+class PeakAccumulator {
+    constructor(channels) {
+        this.channels = channels;
+        this.blocks = Array.from({ length: channels }, () => []);
+        this.current = new Array(channels).fill(0);
+        this.count = 0;
+    }
+
+    /**
+     * samples: interleaved Float32Array, whole frames only
+     */
+    add(samples) {
+        for (let i = 0; i < samples.length; i += this.channels) {
+            for (let c = 0; c < this.channels; c++) {
+                const value = Math.abs(samples[i + c]);
+                if (value > this.current[c]) this.current[c] = value;
+            }
+            if (++this.count === BLOCK_SIZE) this.flush();
+        }
+    }
+
+    flush() {
+        if (this.count === 0) return;
+        this.blocks.forEach((blocks, c) => blocks.push(this.current[c]));
+        this.current.fill(0);
+        this.count = 0;
+    }
+
+    /**
+     * { mono, left, right } block peaks; mono is the loudest channel, so
+     * out-of-phase material doesn't cancel out as it would in a downmix
+     */
+    finish() {
+        this.flush();
+        const [left, right = left] = this.blocks;
+        const mono = left.map((value, i) => Math.max(...this.blocks.map(blocks => blocks[i])));
+        return { mono, left, right };
+    }
+}
+
+/**
+ * Reduce block peaks to `resolution` peaks
+ */
+function resample(blocks, resolution) {
+    const peaks = new Array(resolution).fill(0);
+    if (blocks.length === 0) return peaks;
+
+    for (let i = 0; i < resolution; i++) {
+        const start = Math.floor(i * blocks.length / resolution);
+        const end = Math.max(start + 1, Math.floor((i + 1) * blocks.length / resolution));
+        for (let j = start; j < end && j < blocks.length; j++) {
+            if (blocks[j] > peaks[i]) peaks[i] = blocks[j];
+        }
+    }
+    return peaks;
+}
+
+/**
+ * Scale to 0-1 by the file's loudest peak, rounded to keep the JSON small
+ */
+function normalise(peaks, max) {
+    return peaks.map(value => max > 0 ? Math.round(value / max * 1000) / 1000 : 0);
+}
+
+/**
+ * Locate the fmt and data chunks of a RIFF/WAVE file
+ */
+function readWavHeader(fd) {
+    const header = Buffer.alloc(12);
+    fs.readSync(fd, header, 0, 12, 0);
+    if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    const chunkHeader = Buffer.alloc(8);
+    let offset = 12;
+    let format = null;
+
+    while (fs.readSync(fd, chunkHeader, 0, 8, offset) === 8) {
+        const id = chunkHeader.toString('ascii', 0, 4);
+        const size = chunkHeader.readUInt32LE(4);
+
+        if (id === 'fmt ') {
+            const fmt = Buffer.alloc(size);
+            fs.readSync(fd, fmt, 0, size, offset + 8);
+            let encoding = fmt.readUInt16LE(0);
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+            if (encoding === 0xFFFE && size >= 26) encoding = fmt.readUInt16LE(24);
+            format = {
+                encoding,
+                channels: fmt.readUInt16LE(2),
+                bitsPerSample: fmt.readUInt16LE(14)
+            };
+        } else if (id === 'data') {
+            if (!format) throw new Error('WAV data chunk before fmt chunk');
+            return { ...format, dataOffset: offset + 8, dataSize: size };
+        }
+
+        // Chunks are padded to an even length
+        offset += 8 + size + (size % 2);
+    }
+    throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Sample reader for a WAV format, or null if unsupported
+ */
+function getWavSampleReader({ encoding, bitsPerSample }) {
+    const PCM = 1;
+    const FLOAT = 3;
+
+    if (encoding === PCM && bitsPerSample === 8) return (buf, i) => (buf.readUInt8(i) - 128) / 128;
+    if (encoding === PCM && bitsPerSample === 16) return (buf, i) => buf.readInt16LE(i) / 32768;
+    if (encoding === PCM && bitsPerSample === 24) return (buf, i) => buf.readIntLE(i, 3) / 8388608;
+    if (encoding === PCM && bitsPerSample === 32) return (buf, i) => buf.readInt32LE(i) / 2147483648;
+    if (encoding === FLOAT && bitsPerSample === 32) return (buf, i) => buf.readFloatLE(i);
+    if (encoding === FLOAT && bitsPerSample === 64) return (buf, i) => buf.readDoubleLE(i);
+    return null;
+}
+
+async function decodeWav(file, accumulatorFor) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const header = readWavHeader(fd);
+        const readSample = getWavSampleReader(header);
+        if (!readSample) {
+            throw new Error(`Unsupported WAV encoding ${header.encoding} at ${header.bitsPerSample} bits`);
+        }
+
+        const accumulator = accumulatorFor(header.channels);
+        const bytesPerSample = header.bitsPerSample / 8;
+        const frameSize = bytesPerSample * header.channels;
+        const buffer = Buffer.alloc(Math.floor(CHUNK_SIZE / frameSize) * frameSize);
+        const end = header.dataOffset + header.dataSize;
+
+        for (let offset = header.dataOffset; offset < end;) {
+            const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, end - offset), offset);
+            if (bytesRead === 0) break;   // Truncated file: use what's there
+
+            const frames = Math.floor(bytesRead / frameSize);
+            const samples = new Float32Array(frames * header.channels);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = readSample(buffer, i * bytesPerSample);
+            }
+            accumulator.add(samples);
+            offset += bytesRead;
+        }
+        return accumulator;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Decode anything else through ffmpeg as interleaved 32-bit float stereo
+ */
+function decodeWithFfmpeg(file, accumulatorFor) {
+    const channels = 2;
+    const accumulator = accumulatorFor(channels);
+    const frameSize = 4 * channels;
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            '-v', 'error', '-i', file, '-vn',
+            '-f', 'f32le', '-acodec', 'pcm_f32le', '-ac', String(channels), '-'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        let pending = Buffer.alloc(0);
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', (data) => {
+            // Chunks can end mid-frame; carry the remainder into the next one
+            const buffer = pending.length ? Buffer.concat([pending, data]) : data;
+            const usable = buffer.length - (buffer.length % frameSize);
+            const samples = new Float32Array(usable / 4);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = buffer.readFloatLE(i * 4);
+            }
+            accumulator.add(samples);
+            pending = buffer.subarray(usable);
+        });
+        ffmpeg.stderr.on('data', (data) => { stderr += data; });
+
+        ffmpeg.on('error', (error) => {
+            reject(error.code === 'ENOENT'
+                ? new Error('ffmpeg is required to decode MP3 and FLAC files')
+                : error);
+        });
+        ffmpeg.on('close', (code) => {
+            if (code === 0) resolve(accumulator);
+            else reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`));
+        });
+    });
+}
+
+/**
+ * Block peaks for an audio file
+ */
+async function decodePeaks(file) {
+    const accumulatorFor = (channels) => new PeakAccumulator(channels);
+    const accumulator = path.extname(file).toLowerCase() === '.wav'
+        ? await decodeWav(file, accumulatorFor)
+        : await decodeWithFfmpeg(file, accumulatorFor);
+    return accumulator.finish();
+}
+
+/**
+ * Every file a run writes for one audio file: {name}.json, plus
+ * {name}.{n}.json per extra resolution and .stereo.json variants
+ */
+function getOutputs(name, { resolution, resolutions, stereo }) {
+    return [resolution, ...resolutions].flatMap(n => {
+        const suffix = n === resolution ? '' : `.${n}`;
+        const outputs = [{ outName: `${name}${suffix}.json`, resolution: n, stereo: false }];
+        if (stereo) outputs.push({ outName: `${name}${suffix}.stereo.json`, resolution: n, stereo: true });
+        return outputs;
+    });
+}
+
+/**
+ * Waveform JSON for every requested output, keyed by file name
+ */
+function buildWaveforms(blocks, name, options) {
+    const max = blocks.mono.reduce((a, b) => Math.max(a, b), 0);
+    const waveforms = {};
+
+    getOutputs(name, options).forEach(({ outName, resolution, stereo }) => {
+        waveforms[outName] = stereo ? {
+            left: normalise(resample(blocks.left, resolution), max),
+            right: normalise(resample(blocks.right, resolution), max)
+        } : normalise(resample(blocks.mono, resolution), max);
+    });
+    return waveforms;
+}
+
+/**
+ * Output directory for an audio file: waveforms/ beside it, as
+ * loadWaveformJson expects, unless --out is given
+ */
+function getOutDir(file, options) {
+    return options.out || path.join(path.dirname(file), 'waveforms');
+}
+
+/**
+ * Up to date only if every output exists and is newer than the audio
+ */
+function isUpToDate(file, outFiles) {
+    const audioTime = fs.statSync(file).mtimeMs;
+    return outFiles.every(outFile => fs.existsSync(outFile) && fs.statSync(outFile).mtimeMs >= audioTime);
+}
+
+/**
+ * Fail before decoding anything if two audio files would write the same
+ * outputs, e.g. a.wav and a.mp3, or same-named files in different
+ * directories with --out
+ */
+function checkCollisions(files, options) {
+    const byOutput = new Map();
+    files.forEach(file => {
+        const name = path.basename(file, path.extname(file));
+        const outFile = path.join(getOutDir(file, options), `${name}.json`);
+        const other = byOutput.get(outFile);
+        if (other) {
+            throw new Error(`${other} and ${file} would both write ${outFile}`);
+        }
+        byOutput.set(outFile, file);
+    });
+}
+
+async function generate(file, options) {
+    const name = path.basename(file, path.extname(file));
+    const outDir = getOutDir(file, options);
+    const outFiles = getOutputs(name, options).map(({ outName }) => path.join(outDir, outName));
+    if (!options.force && isUpToDate(file, outFiles)) {
+        return { file, skipped: true };
+    }
+
+    const blocks = await decodePeaks(file);
+    const outputs = buildWaveforms(blocks, name, options);
+
+    fs.mkdirSync(outDir, { recursive: true });
+    Object.entries(outputs).forEach(([outName, data]) => {
+        fs.writeFileSync(path.join(outDir, outName), JSON.stringify(data));
+    });
+    return { file, outputs: Object.keys(outputs).map(outName => path.join(outDir, outName)) };
+}
+
+/**
+ * Audio files in the given files and directories, recursively, skipping
+ * the waveforms/ output directories
+ */
+function findAudioFiles(targets) {
+    return targets.flatMap(target => {
+        let stat;
+        try {
+            stat = fs.statSync(target);
+        } catch (error) {
+            throw error.code === 'ENOENT' ? new Error(`No such file or directory: ${target}`) : error;
+        }
+        if (!stat.isDirectory()) return [target];
+
+        return fs.readdirSync(target, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.') && entry.name !== 'waveforms')
+            .flatMap(entry => {
+                const entryPath = path.join(target, entry.name);
+                if (entry.isDirectory()) return findAudioFiles([entryPath]);
+                return AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [entryPath] : [];
+            })
+            .sort();
+    });
+}
+
+function parseResolution(value) {
+    const n = parseInt(value);
+    if (!(n > 0)) throw new Error(`Invalid resolution: ${value}`);
+    return n;
+}
+
+function parseArgs(args) {
+    const options = { resolution: DEFAULT_RESOLUTION, resolutions: [], stereo: false, out: null, force: false, targets: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--resolution') options.resolution = parseResolution(args[++i]);
+        else if (arg === '--resolutions') options.resolutions = String(args[++i]).split(',').map(parseResolution);
+        else if (arg === '--stereo') options.stereo = true;
+        else if (arg === '--out') options.out = path.resolve(args[++i]);
+        else if (arg === '--force') options.force = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        else options.targets.push(arg);
+    }
+
+    options.resolutions = [...new Set(options.resolutions)].filter(n => n !== options.resolution);
+    if (options.targets.length === 0) options.targets.push(path.join(ROOT, 'assets'));
+    return options;
+}
+
+async function main() {
+    let options, files;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        files = findAudioFiles(options.targets);
+        checkCollisions(files, options);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (files.length === 0) {
+        console.error('No WAV, MP3 or FLAC files found');
+        process.exit(1);
+    }
+
+    // One file at a time: decoding is CPU-bound and ffmpeg output is large
+    let failed = 0;
+    for (const file of files) {
+        const relative = path.relative(process.cwd(), file);
+        try {
+            const result = await generate(file, options);
+            if (result.skipped) {
+                console.log(`${relative} (up to date)`);
+            } else {
+                console.log(`${relative} -> ${result.outputs.map(out => path.relative(process.cwd(), out)).join(', ')}`);
+            }
+        } catch (error) {
+            failed++;
+            console.error(`${relative}: ${error.message}`);
+        }
+    }
+
+    if (failed) process.exit(1);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { decodePeaks, buildWaveforms, resample, generate };
@@ -0,0 +1,313 @@
+/**
+ * Transport Bar
+ * Site-wide playback controls that live outside #content so they
+ * survive Router navigations. Driven by AudioManager's legacy callbacks.
+ * The dropdown shows the user queue (QueueView) above the playlists.
+ * The visualizer button swaps the waveform for a live spectrum or
+ * oscilloscope (Visualizer); the mode is remembered across visits.
+ *
+ * Usage: new TransportBar(document.body)
+ */
+
+class TransportBar {
+    constructor(parentEl, options = {}) {
+        this.parentEl = parentEl;
+        this.manager = options.manager || window.audioManager;
+        this.isPlaylistOpen = false;
+        this._drawnWaveform = null;
+        this._lastTrackSrc = null;
+        this.visualizerKey = 'transportBar.visualizer';
+        this._rememberedVisualizer = null;   // Last visit's mode, until reopened
+
+        this.render();
+        this.bindEvents();
+        this.bindManager();
+        this.update(this.manager.getState());
+    }
+
+    render() {
+        this.el = document.createElement('div');
+        this.el.className = 'transport';
+        this.el.innerHTML = `
+            <div class="transport-controls">
+                <button class="transport-btn prev-btn" aria-label="Previous">&#9198;</button>
+                <button class="transport-btn play-btn" aria-label="Play">&#9654;</button>
+                <button class="transport-btn next-btn" aria-label="Next">&#9197;</button>
+            </div>
+            <div class="transport-track"><span class="transport-track-inner"></span></div>
+            <button class="transport-resume" aria-label="Resume where you left off" hidden></button>
+            <div class="transport-waveform">
+                <canvas class="transport-canvas"></canvas>
+                <canvas class="transport-visualizer"></canvas>
+                <div class="transport-progress"></div>
+            </div>
+            <button class="transport-btn visualizer-toggle" aria-label="Visualizer: off">&#8767;</button>
+            <button class="transport-btn playlist-toggle" aria-label="Playlists and queue" aria-expanded="false">&#9776;</button>
+        `;
+
+        this.playlistEl = document.createElement('div');
+        this.playlistEl.className = 'transport-playlist';
+        this.playlistEl.innerHTML = `
+            <div class="transport-queue"></div>
+            <div class="transport-playlists"></div>
+        `;
+        this.playlistsEl = this.playlistEl.querySelector('.transport-playlists');
+        this.queueView = new QueueView(this.playlistEl.querySelector('.transport-queue'), { manager: this.manager });
+
+        this.parentEl.prepend(this.playlistEl);
+        this.parentEl.prepend(this.el);
+
+        this.prevBtn = this.el.querySelector('.prev-btn');
+        this.playBtn = this.el.querySelector('.play-btn');
+        this.nextBtn = this.el.querySelector('.next-btn');
+        this.trackEl = this.el.querySelector('.transport-track');
+        this.trackInner = this.el.querySelector('.transport-track-inner');
+        this.resumeBtn = this.el.querySelector('.transport-resume');
+        this.waveformEl = this.el.querySelector('.transport-waveform');
+        this.canvas = this.el.querySelector('.transport-canvas');
+        this.progress = this.el.querySelector('.transport-progress');
+        this.playlistToggle = this.el.querySelector('.playlist-toggle');
+        this.visualizerToggle = this.el.querySelector('.visualizer-toggle');
+        this.visualizer = new Visualizer(this.el.querySelector('.transport-visualizer'), { manager: this.manager });
+
+        this.restoreVisualizer();
+    }
+
+    bindEvents() {
+        this.prevBtn.addEventListener('click', () => this.manager.previous());
+        this.playBtn.addEventListener('click', () => this.manager.togglePlay());
+        this.nextBtn.addEventListener('click', () => this.manager.next());
+        this.resumeBtn.addEventListener('click', () => this.manager.play());
+        this.visualizerToggle.addEventListener('click', () => this.cycleVisualizer());
+
+        this.waveformEl.addEventListener('click', (e) => {
+            const rect = this.waveformEl.getBoundingClientRect();
+            this.manager.seek((e.clientX - rect.left) / rect.width);
+        });
+
+        this.playlistToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.togglePlaylist();
+        });
+
+        this.playlistEl.addEventListener('click', (e) => {
+            // Let release links through to the Router
+            if (e.target.closest('a')) {
+                this.togglePlaylist(false);
+                return;
+            }
+            const item = e.target.closest('.transport-playlist-item');
+            if (!item) return;
+            const index = parseInt(item.dataset.index);
+            // The session's rows outlive the page that registered them
+            if (this.manager.session && item.dataset.playlist === this.manager.session.name) {
+                this.manager.playTrack(index);
+            } else {
+                this.manager.playPlaylist(item.dataset.playlist, index);
+            }
+        });
+
+        // Close dropdown on outside click or Escape. Checks the event path
+        // because clicks that re-render the dropdown detach their target.
+        document.addEventListener('click', (e) => {
+            const path = e.composedPath();
+            if (this.isPlaylistOpen && !path.includes(this.playlistEl) && !path.includes(this.el)) {
+                this.togglePlaylist(false);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPlaylistOpen) {
+                this.togglePlaylist(false);
+            }
+        });
+    }
+
+    /**
+     * Hook into AudioManager's single-slot transport callbacks
+     */
+    bindManager() {
+        this.manager.onStateChange = (state) => this.update(state);
+        this.manager.onTimeUpdate = (time) => this.updateProgress(time);
+        this.manager.onPlaylistChange = () => {
+            if (this.isPlaylistOpen) this.renderPlaylist();
+        };
+    }
+
+    update(state) {
+        this.playBtn.innerHTML = state.isPlaying ? '&#10074;&#10074;' : '&#9654;';
+        this.playBtn.setAttribute('aria-label', state.isPlaying ? 'Pause' : 'Play');
+        this.playBtn.classList.toggle('active', state.isPlaying);
+
+        // Offered after restoring the last visit's session
+        this.resumeBtn.hidden = !state.resumable;
+        if (state.resumable) {
+            const time = this.formatTime(state.resumePosition);
+            this.resumeBtn.textContent = time ? `Resume at ${time}` : 'Resume';
+        }
+
+        const src = state.currentTrack ? state.currentTrack.src : null;
+        if (src !== this._lastTrackSrc) {
+            this._lastTrackSrc = src;
+            this.updateTrackTitle(state);
+            this.drawWaveform();
+        }
+
+        if (this.isPlaylistOpen) this.renderPlaylist();
+    }
+
+    updateProgress(time) {
+        const percent = time.duration ? (time.currentTime / time.duration) * 100 : 0;
+        this.progress.style.width = percent + '%';
+
+        // Waveform JSON loads asynchronously, pick it up once it arrives
+        if (this.manager.getCurrentWaveform() !== this._drawnWaveform) {
+            this.drawWaveform();
+        }
+    }
+
+    /**
+     * Show "{artist} - {title} - {album}" and scroll it if it overflows
+     * The album is the playlist name, or the track's release in the master
+     * playlist
+     */
+    updateTrackTitle(state) {
+        if (!state.currentTrack) {
+            this.trackInner.textContent = '';
+            this.trackEl.classList.remove('scrolling');
+            return;
+        }
+
+        const parts = [];
+        if (state.artist) parts.push(state.artist);
+        parts.push(state.currentTrack.title);
+        if (state.album) parts.push(state.album);
+        this.trackInner.textContent = parts.join(' - ');
+
+        requestAnimationFrame(() => {
+            const containerWidth = this.trackEl.offsetWidth;
+            const textWidth = this.trackInner.scrollWidth;
+
+            if (textWidth > containerWidth) {
+                const scrollDistance = textWidth - containerWidth + 20;
+                const scrollDuration = Math.max(8, scrollDistance / 30);
+
+                this.trackEl.style.setProperty('--scroll-distance', `-${scrollDistance}px`);
+                this.trackEl.style.setProperty('--scroll-duration', `${scrollDuration}s`);
+                this.trackEl.classList.add('scrolling');
+            } else {
+                this.trackEl.classList.remove('scrolling');
+            }
+        });
+    }
+
+    /**
+     * off -> spectrum -> scope -> off. Opening it again after a visit where
+     * it was left on starts at that mode.
+     */
+    cycleVisualizer() {
+        if (this.visualizer.mode === 'off' && this._rememberedVisualizer) {
+            this.setVisualizerMode(this._rememberedVisualizer);
+            this._rememberedVisualizer = null;
+            return;
+        }
+        const modes = Visualizer.MODES;
+        this.setVisualizerMode(modes[(modes.indexOf(this.visualizer.mode) + 1) % modes.length]);
+    }
+
+    setVisualizerMode(mode) {
+        mode = this.visualizer.setMode(mode);
+        this.waveformEl.classList.toggle('visualizing', mode !== 'off');
+        this.visualizerToggle.classList.toggle('active', mode !== 'off');
+        this.visualizerToggle.setAttribute('aria-label', `Visualizer: ${mode}`);
+        if (mode !== 'off') this.visualizer.resize();
+
+        try {
+            localStorage.setItem(this.visualizerKey, mode);
+        } catch (e) {
+            // Storage unavailable: the choice lasts for this visit
+        }
+    }
+
+    /**
+     * Remember the last visit's mode for when the visualizer is next opened.
+     * It isn't turned on by itself: that would route playback through Web
+     * Audio without the user asking.
+     */
+    restoreVisualizer() {
+        let mode = null;
+        try {
+            mode = localStorage.getItem(this.visualizerKey);
+        } catch (e) {
+            return;
+        }
+        if (Visualizer.MODES.includes(mode) && mode !== 'off') {
+            this._rememberedVisualizer = mode;
+        }
+    }
+
+    drawWaveform() {
+        const data = this.manager.getCurrentWaveform();
+        this._drawnWaveform = data;
+        window.waveformRenderer.draw(this.canvas, { data, gradient: false });
+    }
+
+    togglePlaylist(open = !this.isPlaylistOpen) {
+        this.isPlaylistOpen = open;
+        this.playlistEl.classList.toggle('visible', open);
+        this.playlistToggle.classList.toggle('active', open);
+        this.playlistToggle.setAttribute('aria-expanded', String(open));
+        document.body.classList.toggle('playlist-open', open);
+        if (open) this.renderPlaylist();
+    }
+
+    /**
+     * List every registered playlist, active one first. The active playlist
+     * comes from getActivePlaylistData() so it stays listed after navigating
+     * away from the page that registered it.
+     */
+    renderPlaylist() {
+        const state = this.manager.getState();
+        const playlists = [];
+
+        const active = this.manager.getActivePlaylistData();
+        if (active) playlists.push(active);
+
+        this.manager.getPlaylists().forEach(({ name }) => {
+            if (active && name === active.name) return;
+            const data = this.manager.getPlaylistData(name);
+            if (data) playlists.push(data);
+        });
+
+        if (playlists.length === 0) {
+            this.playlistsEl.innerHTML = '<div class="transport-playlist-item">Nothing to play on this page</div>';
+            return;
+        }
+
+        this.playlistsEl.innerHTML = playlists.map(playlist =>
+            playlist.tracks.map((track, i) => {
+                const isCurrent = i === playlist.currentIndex;
+                const parts = [];
+                // Master playlist tracks carry their own release metadata
+                const artist = track.artist !== undefined ? track.artist : playlist.artist;
+                if (artist) parts.push(artist);
+                parts.push(track.title);
+                parts.push(track.album || playlist.name);
+                const href = track.href || playlist.href;
+
+                return `<div class="transport-playlist-item${isCurrent ? ' active' : ''}" data-playlist="${escapeHtml(playlist.name)}" data-index="${i}">
+                    <span class="play-icon">${isCurrent ? (state.isPlaying ? '&#9654;' : '&#10074;&#10074;') : ''}</span>
+                    <span class="track-info">${escapeHtml(parts.join(' - '))}</span>
+                    ${href ? `<a class="track-info-link" href="${escapeHtml(href)}" aria-label="Go to ${escapeHtml(track.album || playlist.name)}">&#8599;</a>` : ''}
+                    <span class="track-duration">${isCurrent ? this.formatTime(state.duration) : ''}</span>
+                </div>`;
+            }).join('')
+        ).join('');
+    }
+
+    formatTime(seconds) {
+        if (isNaN(seconds) || !seconds) return '';
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+}
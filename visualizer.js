@@ -0,0 +1,183 @@
+/**
+ * Live Visualizer
+ * Draws what is playing as a spectrum or an oscilloscope, from
+ * AudioManager's AnalyserNode. Frames are throttled to `fps`, and drawing
+ * stops while nothing is playing, while the canvas is off-screen and while
+ * the tab is hidden.
+ *
+ * Usage: new Visualizer(canvasElement, { mode: 'spectrum' })
+ *
+ * The analyser is only requested once a mode other than 'off' is chosen,
+ * so pages that never turn the visualizer on play without Web Audio.
+ */
+
+class Visualizer {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.manager = options.manager || window.audioManager;
+        this.fps = options.fps || 30;
+        this.color = options.color || getComputedStyle(document.documentElement).getPropertyValue('--waveform-color').trim() || '#21EDD9';
+        this.mode = 'off';
+        this.analyser = null;
+        this.data = null;
+        this.isPlaying = false;
+        this.isVisible = true;
+        this._frame = null;
+        this._lastFrame = 0;
+
+        this._onVisibilityChange = () => this.update();
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+        if (window.IntersectionObserver) {
+            this._observer = new IntersectionObserver((entries) => {
+                this.isVisible = entries[entries.length - 1].isIntersecting;
+                this.update();
+            });
+            this._observer.observe(this.canvas);
+        }
+
+        if (window.ResizeObserver) {
+            this._resizeObserver = new ResizeObserver((entries) => this.resize(entries[entries.length - 1].contentRect));
+            this._resizeObserver.observe(this.canvas);
+        } else {
+            this._onResize = () => this.resize();
+            window.addEventListener('resize', this._onResize);
+        }
+
+        this._unsubscribe = this.manager.addStateListener((state) => {
+            this.isPlaying = state.isPlaying;
+            this.update();
+        });
+        this.isPlaying = this.manager.getState().isPlaying;
+
+        this.setMode(options.mode || 'off');
+    }
+
+    /**
+     * 'off', 'spectrum' or 'scope'. Falls back to 'off' without Web Audio.
+     * @returns {string} The mode now in use
+     */
+    setMode(mode) {
+        if (!Visualizer.MODES.includes(mode)) mode = 'off';
+
+        if (mode !== 'off' && !this.analyser) {
+            this.analyser = this.manager.getAnalyser();
+            if (!this.analyser) mode = 'off';
+        }
+
+        this.mode = mode;
+        this.update();
+        return this.mode;
+    }
+
+    /**
+     * Start or stop the frame loop to match playback and visibility
+     */
+    update() {
+        const running = this.mode !== 'off' && this.isPlaying && this.isVisible && !document.hidden;
+
+        if (running && !this._frame) {
+            this._frame = requestAnimationFrame((time) => this.loop(time));
+        } else if (!running && this._frame) {
+            cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+
+        if (this.mode === 'off') this.clear();
+    }
+
+    loop(time) {
+        this._frame = requestAnimationFrame((next) => this.loop(next));
+        if (time - this._lastFrame < 1000 / this.fps) return;
+        this._lastFrame = time;
+        this.draw();
+    }
+
+    /**
+     * Match the canvas to its displayed size, for sharp lines on retina
+     * screens. Called by the ResizeObserver, including when the canvas is
+     * first shown.
+     */
+    resize(rect = this.canvas.getBoundingClientRect()) {
+        // Hidden canvases keep their last size until they are shown again
+        if (!rect.width || !rect.height) return;
+        this.canvas.width = Math.round(rect.width * window.devicePixelRatio);
+        this.canvas.height = Math.round(rect.height * window.devicePixelRatio);
+    }
+
+    clear() {
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    draw() {
+        if (!this.data || this.data.length !== this.analyser.fftSize) {
+            this.data = new Uint8Array(this.analyser.fftSize);
+        }
+
+        this.clear();
+        if (this.mode === 'spectrum') {
+            this.drawSpectrum();
+        } else {
+            this.drawScope();
+        }
+    }
+
+    /**
+     * Bars on a logarithmic frequency scale, so the low end isn't squeezed
+     * into the first few pixels
+     */
+    drawSpectrum() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const bins = this.analyser.frequencyBinCount;
+        const data = this.data.subarray(0, bins);
+        this.analyser.getByteFrequencyData(data);
+
+        const barWidth = 3 * window.devicePixelRatio;
+        const bars = Math.max(1, Math.floor(width / (barWidth + window.devicePixelRatio)));
+        const maxLog = Math.log(bins);
+
+        ctx.fillStyle = this.color;
+        for (let i = 0; i < bars; i++) {
+            const start = Math.floor(Math.exp(i / bars * maxLog));
+            const end = Math.max(start + 1, Math.floor(Math.exp((i + 1) / bars * maxLog)));
+
+            let peak = 0;
+            for (let j = start; j < end && j < bins; j++) {
+                if (data[j] > peak) peak = data[j];
+            }
+
+            const barHeight = (peak / 255) * height;
+            ctx.fillRect(i * width / bars, height - barHeight, barWidth, barHeight);
+        }
+    }
+
+    drawScope() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        this.analyser.getByteTimeDomainData(this.data);
+
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = window.devicePixelRatio;
+        ctx.beginPath();
+        this.data.forEach((value, i) => {
+            const x = (i / (this.data.length - 1)) * width;
+            const y = (value / 255) * height;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    destroy() {
+        this.setMode('off');
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        if (this._observer) this._observer.disconnect();
+        if (this._resizeObserver) this._resizeObserver.disconnect();
+        if (this._onResize) window.removeEventListener('resize', this._onResize);
+        if (this._unsubscribe) this._unsubscribe();
+    }
+}
+
+Visualizer.MODES = ['off', 'spectrum', 'scope'];
@@ -0,0 +1,239 @@
+/**
+ * Waveform Renderer
+ * Draws every waveform canvas on the page: AudioPlayer progress bars and
+ * playlist rows, and the transport bar. One shared ResizeObserver keeps each
+ * canvas sized to its box at the device pixel ratio, and matchMedia
+ * listeners redraw them all when the colour scheme or pixel ratio changes.
+ *
+ * Peaks are downsampled once per waveform and canvas width and cached. Each
+ * canvas's shape is rendered once to an OffscreenCanvas (a detached canvas
+ * where that's unsupported), so progress updates only composite it.
+ *
+ * Usage:
+ *   waveformRenderer.draw(canvas, { data, progress: 0.4 })
+ *   waveformRenderer.detach(canvas)
+ *
+ * options = {
+ *   data: [0.1, 0.5, ...],   // Peaks from 0 to 1, or null to clear
+ *   progress: 0.4,           // Played fraction; the rest is faded. null: all full
+ *   gradient: true,          // Blue to the waveform colour, or solid
+ *   color: '#0066cc'         // Overrides the theme's --waveform-color
+ * }
+ */
+
+class WaveformRenderer {
+    constructor() {
+        this.canvases = new Map();      // canvas -> {options, surface, shapeData, shapeKey}
+        this.peakCache = new WeakMap(); // data -> Map(width -> peaks)
+        this.colors = this.readColors();
+
+        if (window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver((entries) => {
+                entries.forEach(entry => this.resize(entry.target, entry.contentRect));
+            });
+        } else {
+            this.resizeObserver = null;
+            window.addEventListener('resize', () => this.canvases.forEach((state, canvas) => this.resize(canvas)));
+        }
+
+        // Theme colours are re-read from CSS, which switches them per scheme
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+            this.colors = this.readColors();
+            this.redrawAll();
+        });
+        this.watchPixelRatio();
+    }
+
+    readColors() {
+        const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        return {
+            waveform: getComputedStyle(document.documentElement).getPropertyValue('--waveform-color').trim() || '#21EDD9',
+            blue: isDark ? '#6db3f2' : '#0066cc'
+        };
+    }
+
+    /**
+     * Re-size every canvas when the page moves to a screen with a different
+     * pixel ratio (or is zoomed). The query only matches one ratio, so it is
+     * replaced after each change.
+     */
+    watchPixelRatio() {
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        query.addEventListener('change', () => {
+            this.canvases.forEach((state, canvas) => this.resize(canvas));
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+
+    /**
+     * Draw a waveform, and keep it drawn through resizes and theme changes
+     * until detached. Options are merged into the canvas's previous ones.
+     */
+    draw(canvas, options = {}) {
+        let state = this.canvases.get(canvas);
+        if (!state) {
+            state = { options: { data: null, progress: null, gradient: true, color: null }, surface: null, shapeData: null, shapeKey: null };
+            this.canvases.set(canvas, state);
+            if (this.resizeObserver) {
+                this.resizeObserver.observe(canvas);
+            } else {
+                this.resize(canvas);
+            }
+        }
+
+        state.options = { ...state.options, ...options };
+        this.paint(canvas, state);
+    }
+
+    detach(canvas) {
+        if (!this.canvases.delete(canvas)) return;
+        if (this.resizeObserver) this.resizeObserver.unobserve(canvas);
+    }
+
+    /**
+     * Match the canvas's backing store to its displayed size
+     */
+    resize(canvas, rect = canvas.getBoundingClientRect()) {
+        const state = this.canvases.get(canvas);
+        if (!state) return;
+
+        // Hidden canvases keep their last size until they are shown again
+        if (!rect.width || !rect.height) return;
+
+        const width = Math.round(rect.width * window.devicePixelRatio);
+        const height = Math.round(rect.height * window.devicePixelRatio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        this.paint(canvas, state);
+    }
+
+    redrawAll() {
+        this.canvases.forEach((state, canvas) => this.paint(canvas, state));
+    }
+
+    paint(canvas, state) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const { data, progress } = state.options;
+        if (!data || !data.length || !width || !height) return;
+
+        const shape = this.getShape(state, width, height);
+        if (progress === null || progress === undefined) {
+            ctx.drawImage(shape, 0, 0);
+            return;
+        }
+
+        // Played part at full strength, the rest faded
+        const split = Math.round(Math.max(0, Math.min(1, progress)) * width);
+        if (split > 0) {
+            ctx.drawImage(shape, 0, 0, split, height, 0, 0, split, height);
+        }
+        if (split < width) {
+            ctx.globalAlpha = 0.35;
+            ctx.drawImage(shape, split, 0, width - split, height, split, 0, width - split, height);
+            ctx.globalAlpha = 1;
+        }
+    }
+
+    /**
+     * The full-strength waveform at this size, re-rendered only when the
+     * data, size or colours change
+     */
+    getShape(state, width, height) {
+        const { data, gradient, color } = state.options;
+        const fill = color || this.colors.waveform;
+        const key = [width, height, gradient, fill, this.colors.blue].join(':');
+
+        if (state.surface && state.shapeData === data && state.shapeKey === key) {
+            return state.surface;
+        }
+
+        if (!state.surface || state.surface.width !== width || state.surface.height !== height) {
+            state.surface = this.createSurface(width, height);
+        }
+        const ctx = state.surface.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        if (gradient) {
+            const fillStyle = ctx.createLinearGradient(0, 0, width, 0);
+            fillStyle.addColorStop(0, this.colors.blue);
+            fillStyle.addColorStop(1, fill);
+            ctx.fillStyle = fillStyle;
+        } else {
+            ctx.fillStyle = fill;
+        }
+        this.traceShape(ctx, this.getPeaks(data, width), width, height);
+        ctx.fill();
+
+        state.shapeData = data;
+        state.shapeKey = key;
+        return state.surface;
+    }
+
+    createSurface(width, height) {
+        if (window.OffscreenCanvas) {
+            return new OffscreenCanvas(width, height);
+        }
+        const surface = document.createElement('canvas');
+        surface.width = width;
+        surface.height = height;
+        return surface;
+    }
+
+    /**
+     * At most one peak per pixel column, cached per waveform and width
+     */
+    getPeaks(data, width) {
+        if (data.length <= width) return data;
+
+        let byWidth = this.peakCache.get(data);
+        if (!byWidth) {
+            byWidth = new Map();
+            this.peakCache.set(data, byWidth);
+        }
+
+        let peaks = byWidth.get(width);
+        if (!peaks) {
+            peaks = new Array(width);
+            for (let i = 0; i < width; i++) {
+                const start = Math.floor(i * data.length / width);
+                const end = Math.floor((i + 1) * data.length / width);
+                let peak = 0;
+                for (let j = start; j < end; j++) {
+                    if (data[j] > peak) peak = data[j];
+                }
+                peaks[i] = peak;
+            }
+            byWidth.set(width, peaks);
+        }
+        return peaks;
+    }
+
+    /**
+     * Continuous filled outline, mirrored about the middle
+     */
+    traceShape(ctx, peaks, width, height) {
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+
+        // Top edge
+        peaks.forEach((value, i) => {
+            ctx.lineTo((i / peaks.length) * width, (height - value * height * 0.9) / 2);
+        });
+        ctx.lineTo(width, height / 2);
+
+        // Bottom edge (reverse)
+        for (let i = peaks.length - 1; i >= 0; i--) {
+            ctx.lineTo((i / peaks.length) * width, (height + peaks[i] * height * 0.9) / 2);
+        }
+
+        ctx.closePath();
+    }
+}
+
+// Global singleton
+window.waveformRenderer = new WaveformRenderer();